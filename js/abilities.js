@@ -0,0 +1,45 @@
+import * as Constants from './constants.js';
+
+// Movement abilities, unlocked by collecting key clues (clue.js entries with `unlocksAbility`).
+// The mechanics live in Player; this is the catalogue shared by the HUD, the clue list and
+// level generation (objectives that put things out of reach for players without them).
+// Hints name actions in braces, filled with the player's keys by controls.formatControlHint.
+
+export const ABILITIES = {
+    double_jump: { name: 'Double Jump', hint: 'Press {jump} again in mid-air' },
+    dash: { name: 'Dash', hint: 'Press {dash} to dash' },
+    glide: { name: 'Glide', hint: 'Hold {jump} while falling' },
+};
+
+export function isAbility(name) {
+    return Object.prototype.hasOwnProperty.call(ABILITIES, name);
+}
+
+// Known abilities from a list (or the comma-separated ?abilities= value), in catalogue order
+// so the same set always reads the same in the seed display and URLs
+export function normalizeAbilities(names) {
+    const list = typeof names === 'string' ? names.split(',').map(name => name.trim()) : (names || []);
+    return Object.keys(ABILITIES).filter(name => list.includes(name));
+}
+
+// Highest climb above the take-off surface, jumping again at the apex if double jump is unlocked
+export function getJumpApex(physics = {}, abilities = []) {
+    const gravity = Math.abs(Constants.BASE_GRAVITY * (physics.gravityMultiplier ?? 1.0));
+    let apex = (Constants.JUMP_VELOCITY ** 2) / (2 * gravity);
+    if (abilities.includes('double_jump')) apex += (Constants.DOUBLE_JUMP_VELOCITY ** 2) / (2 * gravity);
+    return apex;
+}
+
+// Longest edge-to-edge gap crossable at equal height, counting dash and glide if unlocked
+export function getJumpDistance(physics = {}, abilities = []) {
+    const gravity = Math.abs(Constants.BASE_GRAVITY * (physics.gravityMultiplier ?? 1.0));
+    const speed = Constants.PLAYER_BASE_SPEED * (physics.playerSpeedMultiplier ?? 1.0);
+    const riseTime = Constants.JUMP_VELOCITY / gravity;
+    let distance = speed * riseTime * 2;
+    if (abilities.includes('glide')) {
+        const apex = (Constants.JUMP_VELOCITY ** 2) / (2 * gravity);
+        distance = Math.max(distance, speed * (riseTime + apex / Math.abs(Constants.GLIDE_FALL_SPEED)));
+    }
+    if (abilities.includes('dash')) distance += Constants.DASH_SPEED * Constants.DASH_DURATION; // Gravity pauses while dashing
+    return distance;
+}
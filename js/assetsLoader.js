@@ -3,6 +3,7 @@ import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 // import { FontLoader } from 'three/addons/loaders/FontLoader.js';
 import { showLoading } from './ui.js';
 import * as Constants from './constants.js';
+import { markSharedResource } from './disposal.js';
 
 const textureLoader = new THREE.TextureLoader();
 const gltfLoader = new GLTFLoader();
@@ -61,11 +62,13 @@ export async function preloadAllAssets() {
                         if(assetInfo.name.includes('floor') || assetInfo.name.includes('ground')) {
                              texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
                         }
+                        markSharedResource(texture); // Reused by every universe: never disposed on switch
                         loadedAssets.textures[assetInfo.name] = texture;
                         // console.log(`Loaded texture: ${assetInfo.name}`); // Reduce console spam
                     });
                 case 'model':
                      return gltfLoader.loadAsync(assetInfo.path).then(gltf => {
+                        markSharedResource(gltf.scene); // Clones share its geometries/materials
                         loadedAssets.models[assetInfo.name] = gltf;
                         console.log(`Loaded model: ${assetInfo.name}`);
                     });
@@ -106,6 +109,11 @@ export function getAsset(type, name) {
     }
 }
 
+// Names of the assets of one type ('texture', 'model', 'sound') that preloadAllAssets loads
+export function getPreloadedAssetNames(type) {
+    return assetsToLoad.filter(asset => asset.type === type).map(asset => asset.name);
+}
+
 // Specific getters
 export function getTexture(name) { return getAsset('textures', name); }
 export function getModel(name) { return getAsset('models', name); }
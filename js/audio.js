@@ -5,6 +5,7 @@ let audioListener;
 let audioContext;
 let soundSources = {}; // To manage playing sounds (positional, effects)
 let ambientSound = null; // Manage background music
+const positionalSounds = new Set(); // PositionalAudio nodes currently attached to meshes
 
 export function initAudio(camera) {
     if (!camera) {
@@ -74,7 +75,9 @@ export function playPositionalSound(soundName, meshToAttach, volume = 1.0, refDi
         sound.setRefDistance(refDistance);
         sound.setRolloffFactor(rolloffFactor);
         sound.setVolume(volume);
+        sound.onEnded = () => releasePositionalSound(sound); // One-shot: detach once finished
         meshToAttach.add(sound);
+        positionalSounds.add(sound);
         sound.play();
     } catch (e) {
          console.error(`Error playing positional sound ${soundName}:`, e);
@@ -82,6 +85,20 @@ export function playPositionalSound(soundName, meshToAttach, volume = 1.0, refDi
 }
 
 
+function releasePositionalSound(sound) {
+    if (sound.isPlaying) sound.stop();
+    sound.isPlaying = false;
+    sound.disconnect();
+    sound.removeFromParent();
+    positionalSounds.delete(sound);
+}
+
+// Stop and detach every positional sound (called when a universe is cleared)
+export function stopPositionalSounds() {
+    [...positionalSounds].forEach(releasePositionalSound);
+}
+
+
 // Start/Stop Ambient Background Music/Sound
 export function startAmbientSound(soundName) {
     // --- ALWAYS STOP PREVIOUS SOUND ---
@@ -0,0 +1,107 @@
+import * as THREE from 'three';
+import * as Constants from './constants.js';
+
+// The player's body, shown in third-person view. Built from primitives so it needs no model
+// file: arms and legs hang from pivots at the shoulders and hips and swing with a walk cycle
+// driven by horizontal speed. Poses for jumping, gliding, swinging and crouching are set per
+// frame from the Player's state.
+
+const SKIN_COLOR = 0xf1c27d;
+const SHIRT_COLOR = 0x00aacc;
+const TROUSER_COLOR = 0x334455;
+const LEG_LENGTH = 0.8;
+const TORSO_HEIGHT = 0.65;
+const HEAD_RADIUS = 0.17;
+const STRIDE_PER_METER = 2.2; // Walk cycle phase (radians) per metre travelled
+const MAX_LIMB_SWING = 0.8; // Radians at full running speed
+const TURN_RATE = 12; // How fast the body turns towards the direction of travel
+
+// Box hanging from a pivot group, so rotating the pivot swings the limb from its top end
+function createLimb(width, length, material) {
+    const pivot = new THREE.Group();
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(width, length, width), material);
+    mesh.position.y = -length / 2;
+    mesh.castShadow = true;
+    pivot.add(mesh);
+    return pivot;
+}
+
+export function createAvatar() {
+    const skin = new THREE.MeshStandardMaterial({ color: SKIN_COLOR, roughness: 0.8 });
+    const shirt = new THREE.MeshStandardMaterial({ color: SHIRT_COLOR, roughness: 0.7 });
+    const trousers = new THREE.MeshStandardMaterial({ color: TROUSER_COLOR, roughness: 0.9 });
+
+    const avatar = new THREE.Group();
+    avatar.name = 'PlayerAvatar';
+
+    const torso = new THREE.Mesh(new THREE.BoxGeometry(0.5, TORSO_HEIGHT, 0.28), shirt);
+    torso.position.y = LEG_LENGTH + TORSO_HEIGHT / 2;
+    torso.castShadow = true;
+    avatar.add(torso);
+
+    const head = new THREE.Mesh(new THREE.SphereGeometry(HEAD_RADIUS, 16, 12), skin);
+    head.position.y = LEG_LENGTH + TORSO_HEIGHT + HEAD_RADIUS;
+    head.castShadow = true;
+    avatar.add(head);
+    const visor = new THREE.Mesh(new THREE.BoxGeometry(0.22, 0.06, 0.05), new THREE.MeshStandardMaterial({ color: 0x111111 }));
+    visor.position.set(0, 0.03, HEAD_RADIUS * 0.9); // Marks the front (+Z)
+    head.add(visor);
+
+    const shoulderY = LEG_LENGTH + TORSO_HEIGHT - 0.05;
+    const limbs = {
+        leftArm: createLimb(0.13, 0.6, shirt),
+        rightArm: createLimb(0.13, 0.6, shirt),
+        leftLeg: createLimb(0.18, LEG_LENGTH, trousers),
+        rightLeg: createLimb(0.18, LEG_LENGTH, trousers),
+    };
+    limbs.leftArm.position.set(0.32, shoulderY, 0);
+    limbs.rightArm.position.set(-0.32, shoulderY, 0);
+    limbs.leftLeg.position.set(0.12, LEG_LENGTH, 0);
+    limbs.rightLeg.position.set(-0.12, LEG_LENGTH, 0);
+    Object.values(limbs).forEach(limb => avatar.add(limb));
+
+    avatar.userData = { keepAcrossUniverses: true, limbs, walkPhase: 0 };
+    return avatar;
+}
+
+// Shortest signed difference between two angles
+function angleDelta(from, to) {
+    return THREE.MathUtils.euclideanModulo(to - from + Math.PI, Math.PI * 2) - Math.PI;
+}
+
+// Once per rendered frame: follow the (interpolated) player mesh and pose the limbs
+export function updateAvatar(avatar, player, frameTime) {
+    const { limbs } = avatar.userData;
+    const position = player.mesh.position;
+    avatar.position.set(position.x, position.y - player.height / 2, position.z);
+    avatar.scale.y = player.height / Constants.PLAYER_HEIGHT; // Crouching squashes the body
+
+    const speed = Math.hypot(player.velocity.x, player.velocity.z);
+    if (speed > 0.3) {
+        const heading = Math.atan2(player.velocity.x, player.velocity.z);
+        avatar.rotation.y += angleDelta(avatar.rotation.y, heading) * Math.min(1, TURN_RATE * frameTime);
+    }
+
+    Object.values(limbs).forEach(limb => limb.rotation.set(0, 0, 0));
+    if (player.swingAnchor) {
+        // Both hands up on the rope
+        limbs.leftArm.rotation.x = limbs.rightArm.rotation.x = -Math.PI * 0.9;
+        limbs.leftLeg.rotation.x = 0.3;
+        limbs.rightLeg.rotation.x = -0.2;
+    } else if (player.isGliding) {
+        limbs.leftArm.rotation.z = Math.PI / 2;
+        limbs.rightArm.rotation.z = -Math.PI / 2;
+    } else if (!player.onGround) {
+        limbs.leftArm.rotation.x = limbs.rightArm.rotation.x = -0.6;
+        limbs.leftLeg.rotation.x = -0.5; // Knee up
+        limbs.rightLeg.rotation.x = 0.3;
+    } else {
+        const stride = Math.min(1, speed / Constants.PLAYER_BASE_SPEED) * MAX_LIMB_SWING;
+        avatar.userData.walkPhase = speed > 0.3 ? avatar.userData.walkPhase + speed * frameTime * STRIDE_PER_METER : 0;
+        const swing = Math.sin(avatar.userData.walkPhase) * stride;
+        limbs.leftLeg.rotation.x = swing;
+        limbs.rightLeg.rotation.x = -swing;
+        limbs.leftArm.rotation.x = -swing;
+        limbs.rightArm.rotation.x = swing;
+    }
+}
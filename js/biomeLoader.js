@@ -0,0 +1,169 @@
+import * as Constants from './constants.js';
+import { BIOMES } from './biomes.js';
+import { getPrefabNames } from './prefabs.js';
+import { HAZARD_PREFABS } from './hazards.js';
+import { NPC_BEHAVIORS } from './npc.js';
+import { getRegisteredObjectiveTypes } from './objectives/index.js';
+import { CONTROL_CHAOS_MODES } from './controlChaos.js';
+import { getPreloadedAssetNames } from './assetsLoader.js';
+
+// Loads biome definitions from JSON (assets/biomes/manifest.json lists the files) and
+// merges them into BIOMES. A file with the key of a built-in biome tunes it; any other
+// key adds a new biome on top of DEFAULT. Fields are checked against BIOME_SCHEMA:
+// invalid values are reported and dropped so the built-in/default value is used instead.
+//
+// Example file:
+//   { "key": "DUST_FLATS", "name": "Dust Flats", "fog": { "mixColor": "#d9b38c", "mixAmount": 0.3 },
+//     "sceneryPrefabs": ["rock_medium"], "physics": { "gravityMultiplier": 0.9 } }
+
+const number = (min = -Infinity, max = Infinity) => ({ type: 'number', min, max });
+const integer = (min = -Infinity, max = Infinity) => ({ type: 'integer', min, max });
+const oneOf = (label, getValues) => ({ type: 'string', label, oneOf: getValues });
+const colorRange = { type: 'array', length: 2, items: number(0, 1) };
+
+const BIOME_SCHEMA = {
+    key: { type: 'string' },
+    name: { type: 'string' },
+    bgColorRange: colorRange,
+    groundColorRange: colorRange,
+    fog: { type: 'object', fields: { color: { type: 'color' }, mixColor: { type: 'color' }, mixAmount: number(0, 1), brightness: number(0) } },
+    ambientSound: { type: 'string' },
+    texturePaths: { type: 'object', fields: { ground: oneOf('preloaded texture', () => getPreloadedAssetNames('texture')) } }, // Only preloaded textures exist at generation time
+    sceneryPrefabs: { type: 'array', items: oneOf('scenery prefab', getPrefabNames) },
+    sceneryCount: { type: 'array', length: 2, items: integer(0, 200) },
+    terrain: { type: 'object', fields: { type: oneOf('terrain type', () => ['hills', 'ridges']), amplitude: number(0), frequency: number(0), octaves: integer(1, 8) } },
+    isPlatformBased: { type: 'boolean' },
+    movingPlatforms: { type: 'boolean' },
+    useGridFloor: { type: 'boolean' },
+    gridFloorConfig: { type: 'object', fields: { cellSize: number(1), holeChance: number(0, 1), raisedChance: number(0, 1), raisedHeightRange: { type: 'array', length: 2, items: number(0) }, liftChance: number(0, 1), liftHeight: number(0) } },
+    physics: { type: 'object', fields: { gravityMultiplier: number(0.05), friction: number(0, 1), playerSpeedMultiplier: number(0.05) } },
+    controlRandomChance: number(0, 1),
+    controlChaosModes: { type: 'array', items: oneOf('control chaos mode', () => Object.keys(CONTROL_CHAOS_MODES)) },
+    possibleHazards: { type: 'array', items: oneOf('hazard', () => Object.keys(HAZARD_PREFABS)) },
+    npcSpawnRules: { type: 'object', fields: { types: { type: 'array', items: oneOf('NPC type', () => NPC_BEHAVIORS) }, maxCount: integer(0), speedMultiplier: number(0) } },
+    miniObjectiveConfig: {
+        type: 'object',
+        fields: {
+            possibleTypes: { type: 'array', items: oneOf('objective type', getRegisteredObjectiveTypes) },
+            shardCount: integer(1), beaconHeight: number(0), terminalCount: integer(1),
+            timeLimit: number(1), timedChance: number(0, 1),
+        },
+    },
+};
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Returns the value if it matches the rule (arrays keep only their valid entries), otherwise undefined
+function validateValue(value, rule, path, errors) {
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') { errors.push(`${path}: expected a string, got ${JSON.stringify(value)}`); return undefined; }
+            if (rule.oneOf) {
+                const allowed = rule.oneOf();
+                if (!allowed.includes(value)) { errors.push(`${path}: unknown ${rule.label} "${value}" (known: ${allowed.join(', ')})`); return undefined; }
+            }
+            return value;
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !Number.isFinite(value) || (rule.type === 'integer' && !Number.isInteger(value))) {
+                errors.push(`${path}: expected ${rule.type === 'integer' ? 'an integer' : 'a number'}, got ${JSON.stringify(value)}`);
+                return undefined;
+            }
+            if (value < rule.min || value > rule.max) { errors.push(`${path}: ${value} is outside [${rule.min}, ${rule.max}]`); return undefined; }
+            return value;
+        case 'boolean':
+            if (typeof value !== 'boolean') { errors.push(`${path}: expected true/false, got ${JSON.stringify(value)}`); return undefined; }
+            return value;
+        case 'color':
+            if (typeof value === 'number' || (typeof value === 'string' && COLOR_PATTERN.test(value))) return value;
+            errors.push(`${path}: expected a colour like "#88aaff", got ${JSON.stringify(value)}`);
+            return undefined;
+        case 'array': {
+            if (!Array.isArray(value)) { errors.push(`${path}: expected an array`); return undefined; }
+            if (rule.length !== undefined && value.length !== rule.length) { errors.push(`${path}: expected ${rule.length} entries, got ${value.length}`); return undefined; }
+            const items = value.map((item, i) => validateValue(item, rule.items, `${path}[${i}]`, errors));
+            if (rule.length !== undefined) return items.includes(undefined) ? undefined : items;
+            return items.filter(item => item !== undefined);
+        }
+        case 'object':
+            if (!isPlainObject(value)) { errors.push(`${path}: expected an object`); return undefined; }
+            return validateFields(value, rule.fields, path, errors);
+        default:
+            errors.push(`${path}: schema has no rule type "${rule.type}"`);
+            return undefined;
+    }
+}
+
+function validateFields(object, fields, path, errors) {
+    const result = {};
+    for (const [field, value] of Object.entries(object)) {
+        const fieldPath = path ? `${path}.${field}` : field;
+        const rule = fields[field];
+        if (!rule) { errors.push(`${fieldPath}: unknown field (typo?)`); continue; }
+        const validated = validateValue(value, rule, fieldPath, errors);
+        if (validated !== undefined) result[field] = validated;
+    }
+    return result;
+}
+
+// Validate a parsed biome definition. Returns { biome, errors } where biome only holds valid fields.
+export function validateBiomeDefinition(definition) {
+    const errors = [];
+    if (!isPlainObject(definition)) return { biome: null, errors: ['Biome definition must be a JSON object'] };
+    const biome = validateFields(definition, BIOME_SCHEMA, '', errors);
+    if (definition.key === undefined) errors.push('key: missing (e.g. "DUST_FLATS")');
+    return { biome, errors };
+}
+
+// Objects merge field by field, everything else (including arrays) is replaced
+function mergeBiome(base, override) {
+    const merged = { ...base };
+    for (const [field, value] of Object.entries(override)) {
+        merged[field] = isPlainObject(value) && isPlainObject(base[field]) ? mergeBiome(base[field], value) : value;
+    }
+    return merged;
+}
+
+async function fetchJSON(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.json();
+}
+
+// Load every biome listed in the manifest. Missing manifest = built-in biomes only.
+export async function loadBiomeDefinitions() {
+    let manifest;
+    try {
+        manifest = await fetchJSON(Constants.BIOME_PATH + Constants.BIOME_MANIFEST);
+    } catch (error) {
+        console.warn(`No biome manifest loaded (${Constants.BIOME_PATH + Constants.BIOME_MANIFEST}), using built-in biomes only:`, error.message);
+        return;
+    }
+    if (!Array.isArray(manifest?.files)) {
+        console.error(`Biome manifest must look like { "files": ["my_biome.json"] }`);
+        return;
+    }
+
+    for (const file of manifest.files) {
+        let definition;
+        try {
+            definition = await fetchJSON(Constants.BIOME_PATH + file);
+        } catch (error) {
+            console.error(`Biome file ${file} could not be loaded:`, error.message);
+            continue;
+        }
+
+        const { biome, errors } = validateBiomeDefinition(definition);
+        errors.forEach(message => console.error(`Biome ${file}: ${message}`));
+        if (!biome?.key) { console.error(`Biome ${file} skipped.`); continue; }
+
+        const { key, ...fields } = biome;
+        const isOverride = key in BIOMES;
+        BIOMES[key] = mergeBiome(isOverride ? BIOMES[key] : BIOMES.DEFAULT, fields);
+        console.log(`${isOverride ? 'Tuned' : 'Added'} biome ${key} from ${file}${errors.length ? ` (${errors.length} field(s) ignored)` : ''}.`);
+    }
+}
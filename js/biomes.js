@@ -1,19 +1,22 @@
 import * as THREE from 'three';
 import * as Constants from './constants.js';
+import * as Random from './random.js';
 
 // Biome definitions structure
+// Built-in biomes; JSON files in assets/biomes/ are merged over these at startup (see biomeLoader.js)
 export const BIOMES = {
     // Not a spawnable biome, just defaults if needed
     DEFAULT: {
         name: "Generic Space",
         bgColorRange: [0.1, 0.5],
-        fogColorFormula: (bg) => bg.clone().multiplyScalar(1.1),
+        fog: { brightness: 1.1 }, // Fog colour derived from the background (see getFogColor)
         groundColorRange: [0.3, 0.8],
         ambientSound: 'ambient_random_default.mp3',
         texturePaths: {},
         sceneryPrefabs: ['rock_medium', 'rock_small'],
         physics: { gravityMultiplier: 1.0, friction: Constants.DEFAULT_FRICTION, playerSpeedMultiplier: 1.0 },
         controlRandomChance: Constants.CONTROL_RANDOM_CHANCE,
+        controlChaosModes: ['shuffle', 'mirroredStrafe', 'invertedLook'], // Picked from when controlRandomChance hits (controlChaos.js)
         possibleHazards: [],
         npcSpawnRules: { types: ['wanderer'], maxCount: 4, speedMultiplier: 1.0 },
         miniObjectiveConfig: { possibleTypes: ['collect_shards'], shardCount: 3 },
@@ -21,67 +24,88 @@ export const BIOMES = {
     CRYSTAL_CAVES: {
         name: "Crystal Caves",
         bgColorRange: [0.1, 0.3], // Darker blues/purples
-        fogColorFormula: (bg) => bg.clone().lerp(new THREE.Color(0x8888ff), 0.2),
+        fog: { mixColor: 0x8888ff, mixAmount: 0.2 },
         groundColorRange: [0.3, 0.5], // Greys/purples
         ambientSound: 'ambient_crystal.mp3',
         texturePaths: { ground: 'cave_floor.png' }, // Relative to TEXTURE_PATH
         sceneryPrefabs: ['crystal_large', 'crystal_cluster', 'rock_medium', 'glowing_rock'],
+        terrain: { type: 'hills', amplitude: 2.5, frequency: 0.05, octaves: 3 }, // Rolling cave floor
         physics: { gravityMultiplier: 0.9, friction: 0.96, playerSpeedMultiplier: 0.95 },
         controlRandomChance: 0.2, // Less likely here
+        controlChaosModes: ['shuffle', 'invertedLook', 'cameraDrift'],
         possibleHazards: [],
         npcSpawnRules: { types: ['wanderer', 'hint'], maxCount: 3, speedMultiplier: 0.9 },
-        miniObjectiveConfig: { possibleTypes: ['collect_shards', 'reach_beacon'], shardCount: 4 },
+        miniObjectiveConfig: { possibleTypes: ['collect_shards', 'reach_beacon'], shardCount: 4, timeLimit: 90, timedChance: 0.5 },
     },
     VOLCANIC: {
         name: "Volcanic Zone",
         bgColorRange: [0.05, 0.2], // Dark reds/oranges/blacks
-        fogColorFormula: (bg) => bg.clone().lerp(new THREE.Color(0xff4400), 0.4),
+        fog: { mixColor: 0xff4400, mixAmount: 0.4 },
         groundColorRange: [0.1, 0.4], // Dark greys/reds
         ambientSound: 'ambient_volcanic.mp3',
         texturePaths: { ground: 'volcanic_ground.jpg' },
         sceneryPrefabs: ['rock_sharp', 'lava_pool_hazard', 'obsidian_shard', 'rock_large'],
+        terrain: { type: 'ridges', amplitude: 4.0, frequency: 0.045, octaves: 3 }, // Sharp volcanic ridges
         physics: { gravityMultiplier: 1.1, friction: Constants.DEFAULT_FRICTION, playerSpeedMultiplier: 1.0 },
         controlRandomChance: 0.6,
+        controlChaosModes: ['shuffle', 'inputDelay', 'cameraDrift'], // Heat haze
         possibleHazards: ['lava_pool_hazard'], // Hazard prefab name
         npcSpawnRules: { types: ['wanderer', 'guard'], maxCount: 2, speedMultiplier: 1.1 },
-        miniObjectiveConfig: { possibleTypes: ['collect_shards'], shardCount: 3 },
+        miniObjectiveConfig: { possibleTypes: ['collect_shards'], shardCount: 3, timeLimit: 60, timedChance: 0.6 },
     },
     FLOATING_ISLANDS: {
         name: "Floating Islands",
         bgColorRange: [0.4, 0.7], // Brighter sky blues/cyans
-        fogColorFormula: (bg) => bg.clone().lerp(new THREE.Color(0xffffff), 0.1),
+        fog: { mixColor: 0xffffff, mixAmount: 0.1 },
         groundColorRange: [0.5, 0.8], // Greens/browns
         ambientSound: 'ambient_windy.mp3',
         texturePaths: { ground: 'grass_moss.png' },
         sceneryPrefabs: ['floating_rock', 'ancient_pillar', 'vine_swing_point'], // Need custom logic for platform generation
         isPlatformBased: true, // Special flag for generation logic
+        movingPlatforms: true, // Ferries, lifts and orbiting islands between the fixed ones
+        sceneryCount: [10, 20], // Islands don't have room for the full default count
         physics: { gravityMultiplier: 0.7, friction: Constants.DEFAULT_FRICTION, playerSpeedMultiplier: 1.1 },
         controlRandomChance: 0.4,
-        possibleHazards: ['fall_death'], // Implied by lack of ground
+        controlChaosModes: ['shuffle', 'mirroredStrafe', 'invertedLook', 'cameraDrift'], // No input lag over the drops
+        possibleHazards: [], // Falling off is handled everywhere by hazards.js
         npcSpawnRules: { types: ['wanderer_fly'], maxCount: 3, speedMultiplier: 1.0 }, // Flying NPCs
-        miniObjectiveConfig: { possibleTypes: ['reach_beacon'], beaconHeight: 15 },
+        miniObjectiveConfig: { possibleTypes: ['reach_beacon'], beaconHeight: 15, timeLimit: 120, timedChance: 0.3 },
     },
     TECHNO_GRID: {
         name: "Techno-Grid",
         bgColorRange: [0.0, 0.1], // Very dark
-        fogColorFormula: (bg) => new THREE.Color(0x001122),
+        fog: { color: 0x001122 },
         groundColorRange: [0.05, 0.15], // Dark greys
         ambientSound: 'ambient_techno.mp3',
         texturePaths: { ground: 'grid_lines.png' }, // Emissive grid texture?
         sceneryPrefabs: ['data_column', 'server_rack', 'force_field_barrier'], // Barriers might be hazards or require interaction
         useGridFloor: true, // Special flag for generation
+        gridFloorConfig: { cellSize: 4, holeChance: 0.08, raisedChance: 0.15, raisedHeightRange: [0.5, 1.2], liftChance: 0.04, liftHeight: 3.0 },
         physics: { gravityMultiplier: 1.0, friction: 1.0, playerSpeedMultiplier: 1.2 }, // Faster?
         controlRandomChance: 0.7,
+        controlChaosModes: ['shuffle', 'mirroredStrafe', 'invertedLook', 'inputDelay'], // Glitchy
         possibleHazards: ['force_field_barrier'],
         npcSpawnRules: { types: ['guard', 'hint'], maxCount: 4, speedMultiplier: 1.2 },
-        miniObjectiveConfig: { possibleTypes: ['activate_terminals'], terminalCount: 3 },
+        miniObjectiveConfig: { possibleTypes: ['activate_terminals'], terminalCount: 3, timeLimit: 75, timedChance: 0.5 },
     }
     // Add more biomes...
 };
 
+// Fog colour from a biome's declarative `fog` block:
+//   { color }              fixed colour
+//   { mixColor, mixAmount } background blended towards mixColor
+//   { brightness }         background scaled (applied last)
+export function getFogColor(biome, bgColor) {
+    const fog = biome.fog || {};
+    const fogColor = fog.color !== undefined ? new THREE.Color(fog.color) : bgColor.clone();
+    if (fog.mixColor !== undefined) fogColor.lerp(new THREE.Color(fog.mixColor), fog.mixAmount ?? 0.5);
+    if (fog.brightness !== undefined) fogColor.multiplyScalar(fog.brightness);
+    return fogColor;
+}
+
 // Function to get a random biome key (excluding DEFAULT)
 export function getRandomBiomeKey() {
     const keys = Object.keys(BIOMES).filter(key => key !== 'DEFAULT');
     if (keys.length === 0) return 'DEFAULT'; // Fallback
-    return keys[Math.floor(Math.random() * keys.length)];
+    return keys[Math.floor(Random.random() * keys.length)];
 }
@@ -1,9 +1,10 @@
 import * as THREE from 'three';
-import { shuffleArray, placeObjectRandomly, isSpawnAreaClear } from './utils.js';
+import { placeObjectRandomly, isSpawnAreaClear, shuffleArray } from './utils.js';
 import * as Constants from './constants.js';
+import * as Random from './random.js';
 
 // --- CV Data ---
-// Structure: { text: "...", category: "...", isKeyClue: boolean (optional) }
+// Structure: { text: "...", category: "...", isKeyClue: boolean (optional), unlocksAbility: abilities.js key (optional, key clues only) }
 export const masterClueList = [
     // Experience
     { text: "EXP: Freelance (Upwork, Self-employed), Jan 2017 - Present (8+ yrs)", category: "Experience" },
@@ -11,9 +12,9 @@ export const masterClueList = [
     { text: "FREELANCE SKILL: Document Translation (English-Spanish)", category: "Skills - Language" },
     { text: "FREELANCE SKILL: Data Analysis & Processing", category: "Skills - Data" },
     { text: "FREELANCE SKILL: 3D Character Animation & Creation", category: "Skills - 3D" },
-    { text: "TECH SKILL: Front-End Development", category: "Skills - Web Dev", isKeyClue: true },
+    { text: "TECH SKILL: Front-End Development", category: "Skills - Web Dev", isKeyClue: true, unlocksAbility: "double_jump" },
     { text: "TECH SKILL: JavaScript", category: "Skills - Web Dev" },
-    { text: "TECH SKILL: Machine Learning", category: "Skills - AI/ML", isKeyClue: true },
+    { text: "TECH SKILL: Machine Learning", category: "Skills - AI/ML", isKeyClue: true, unlocksAbility: "glide" },
     { text: "TECH SKILL: Data Analysis", category: "Skills - Data" },
     { text: "TECH SKILL: Web Development", category: "Skills - Web Dev" },
     { text: "TECH SKILL: Blender (3D)", category: "Skills - 3D" },
@@ -35,7 +36,7 @@ export const masterClueList = [
     { text: "METROPOLIA SKILL: Artificial Intelligence (AI)", category: "Skills - AI/ML" },
     { text: "METROPOLIA SKILL: React.js", category: "Skills - Web Dev" },
     { text: "METROPOLIA SKILL: Information Technology Strategy", category: "Skills - IT" },
-    { text: "METROPOLIA SKILL: Python", category: "Skills - Programming", isKeyClue: true },
+    { text: "METROPOLIA SKILL: Python", category: "Skills - Programming", isKeyClue: true, unlocksAbility: "dash" },
     { text: "METROPOLIA SKILL: MySQL", category: "Skills - Data" },
     { text: "METROPOLIA SKILL: Information Security Principles", category: "Skills - Security" },
     // Certifications
@@ -63,19 +64,8 @@ export const masterClueList = [
     { text: "LANG: German (Elementary)", category: "Languages" },
 ];
 
-let availableClueIndices = [];
 let activeClueObjects = []; // Meshes currently in the scene for this universe
 
-export function initClues() {
-    resetAvailableClues();
-}
-
-function resetAvailableClues() {
-    availableClueIndices = Array.from(masterClueList.keys());
-    shuffleArray(availableClueIndices);
-    console.log("Clue list reset and shuffled.");
-}
-
 export function createClueObjectMesh(clueData) {
     const clueSize = 0.4;
     const clueGeo = new THREE.OctahedronGeometry(clueSize, 0);
@@ -101,20 +91,20 @@ export function createClueObjectMesh(clueData) {
 
 export function spawnClueObjects(scene, count, universeRadius, worldObjectsForCheck) {
     activeClueObjects = []; // Clear previous list for this universe
-    if (availableClueIndices.length === 0) {
-        resetAvailableClues();
-        if (availableClueIndices.length === 0) return []; // Should not happen if master list is not empty
-    }
 
-    const numToSpawn = Math.min(count, availableClueIndices.length);
+    // Seeded shuffle of the whole master list, so a seed always offers the same clues
+    // no matter what was spawned earlier in the session
+    const clueOrder = Array.from(masterClueList.keys());
+    shuffleArray(clueOrder);
+    const numToSpawn = Math.min(count, clueOrder.length);
     console.log(`Spawning ${numToSpawn} clues.`);
 
     for (let i = 0; i < numToSpawn; i++) {
-        const clueIndex = availableClueIndices.pop(); // Get next available shuffled index
+        const clueIndex = clueOrder[i];
         const clueData = { ...masterClueList[clueIndex], originalIndex: clueIndex }; // Add original index
 
         const clueMesh = createClueObjectMesh(clueData);
-        const yPos = THREE.MathUtils.randFloat(0.6, 1.8);
+        const yPos = Random.randFloat(0.6, 1.8);
 
         // Place randomly and check for clearance against existing objects
         placeObjectRandomly(
@@ -132,6 +122,22 @@ export function spawnClueObjects(scene, count, universeRadius, worldObjectsForCh
     return activeClueObjects; // Return the list of clue meshes spawned in this universe
 }
 
+// Respawn the clues a revisited universe still had, exactly where they were
+export function restoreClueObjects(scene, savedClues) {
+    activeClueObjects = [];
+    savedClues.forEach(saved => {
+        const clueData = masterClueList[saved.originalIndex];
+        if (!clueData) { console.warn("Saved clue no longer exists:", saved.originalIndex); return; }
+        const clueMesh = createClueObjectMesh({ ...clueData, originalIndex: saved.originalIndex });
+        clueMesh.position.fromArray(saved.position);
+        clueMesh.userData.boundingBox.setFromObject(clueMesh);
+        scene.add(clueMesh);
+        activeClueObjects.push(clueMesh);
+    });
+    console.log(`Restored ${activeClueObjects.length} clues.`);
+    return activeClueObjects;
+}
+
 // Get the list of active clue meshes in the current universe
 export function getActiveClueMeshes() {
     return activeClueObjects;
@@ -0,0 +1,187 @@
+import * as THREE from 'three';
+
+// Oriented collision shapes for solid world objects, tested against the player's capsule.
+// Every mesh of an object becomes one convex shape: the mesh itself when its geometry is a
+// convex primitive (cylinders, cones, polyhedra), otherwise an oriented box (box geometries,
+// and the local bounding box of anything else). Shapes are kept in world space, rebuilt only
+// when the mesh moves. Distances to oriented boxes are exact; for other shapes the signed
+// distance is the largest face-plane distance: exact inside and over faces, slightly
+// conservative near edges and corners (a capsule touches them a little early).
+
+const CONVEX_GEOMETRY_TYPES = new Set([
+    'BoxGeometry', 'CylinderGeometry', 'ConeGeometry', 'SphereGeometry', 'CapsuleGeometry',
+    'TetrahedronGeometry', 'OctahedronGeometry', 'IcosahedronGeometry', 'DodecahedronGeometry',
+]);
+const PLANE_MERGE_EPSILON = 1e-4;
+const SEGMENT_SEARCH_STEPS = 24; // Golden-section steps along the capsule axis
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+
+const triangle = new THREE.Triangle();
+const normalMatrix = new THREE.Matrix3();
+const segmentPoint = new THREE.Vector3();
+const boxSize = new THREE.Vector3();
+const toPoint = new THREE.Vector3();
+const boxClosest = new THREE.Vector3();
+
+function addUniquePlane(planes, plane) {
+    const duplicate = planes.some(existing =>
+        Math.abs(existing.constant - plane.constant) < PLANE_MERGE_EPSILON &&
+        existing.normal.dot(plane.normal) > 1 - PLANE_MERGE_EPSILON
+    );
+    if (!duplicate) planes.push(plane);
+}
+
+// Face planes of a convex geometry (normals pointing outwards)
+function planesFromTriangles(geometry) {
+    const planes = [];
+    const position = geometry.attributes.position;
+    const index = geometry.index;
+    const count = index ? index.count : position.count;
+    for (let i = 0; i + 2 < count; i += 3) {
+        const a = index ? index.getX(i) : i;
+        const b = index ? index.getX(i + 1) : i + 1;
+        const c = index ? index.getX(i + 2) : i + 2;
+        triangle.a.fromBufferAttribute(position, a);
+        triangle.b.fromBufferAttribute(position, b);
+        triangle.c.fromBufferAttribute(position, c);
+        if (triangle.getArea() < 1e-8) continue; // Degenerate (cone tips, sphere poles)
+        addUniquePlane(planes, triangle.getPlane(new THREE.Plane()));
+    }
+    return planes;
+}
+
+function createShape(mesh) {
+    const geometry = mesh.geometry;
+    if (geometry.type !== 'BoxGeometry' && CONVEX_GEOMETRY_TYPES.has(geometry.type)) {
+        const localPlanes = planesFromTriangles(geometry);
+        if (localPlanes.length >= 4) {
+            return { mesh, localPlanes, planes: localPlanes.map(plane => plane.clone()), box: null, matrix: null };
+        }
+    }
+    if (!geometry.boundingBox) geometry.computeBoundingBox();
+    return {
+        mesh,
+        localBox: geometry.boundingBox.clone(),
+        box: { center: new THREE.Vector3(), axes: [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()], halfExtents: [0, 0, 0] },
+        matrix: null, // World matrix the shape was built for
+    };
+}
+
+// World-space centre, unit axes and half extents of a box shape
+function updateBoxFrame(shape, matrixWorld) {
+    const { localBox, box } = shape;
+    localBox.getCenter(box.center).applyMatrix4(matrixWorld);
+    localBox.getSize(boxSize);
+    box.axes.forEach((axis, i) => {
+        const scale = axis.setFromMatrixColumn(matrixWorld, i).length();
+        if (scale > 0) axis.divideScalar(scale);
+        box.halfExtents[i] = (boxSize.getComponent(i) / 2) * scale;
+    });
+}
+
+// Shapes for an object (cached in userData.collisionShapes), with planes matching its current transform
+export function getCollisionShapes(object) {
+    if (!object.userData.collisionShapes) {
+        const shapes = [];
+        object.traverse(node => {
+            if (!node.isMesh || !node.geometry?.attributes?.position) return;
+            shapes.push(createShape(node));
+        });
+        object.userData.collisionShapes = shapes;
+    }
+
+    object.updateWorldMatrix(true, true);
+    object.userData.collisionShapes.forEach(shape => {
+        const matrixWorld = shape.mesh.matrixWorld;
+        if (shape.matrix?.equals(matrixWorld)) return;
+        shape.matrix = (shape.matrix || new THREE.Matrix4()).copy(matrixWorld);
+        if (shape.box) {
+            updateBoxFrame(shape, matrixWorld);
+            return;
+        }
+        normalMatrix.getNormalMatrix(matrixWorld);
+        shape.planes.forEach((plane, i) => plane.copy(shape.localPlanes[i]).applyMatrix4(matrixWorld, normalMatrix));
+    });
+    return object.userData.collisionShapes;
+}
+
+// Exact signed distance from a point to an oriented box: to the closest surface point outside,
+// to the nearest face inside. `normalOut` receives the direction to push the point out.
+function boxDistance(box, point, normalOut) {
+    toPoint.subVectors(point, box.center);
+    boxClosest.copy(box.center);
+    let outsideSq = 0;
+    let maxInside = -Infinity;
+    let insideAxis = 0;
+    let insideSign = 1;
+    box.axes.forEach((axis, i) => {
+        const offset = toPoint.dot(axis);
+        const half = box.halfExtents[i];
+        const excess = Math.abs(offset) - half;
+        if (excess > 0) outsideSq += excess * excess;
+        if (excess > maxInside) { maxInside = excess; insideAxis = i; insideSign = offset < 0 ? -1 : 1; }
+        boxClosest.addScaledVector(axis, THREE.MathUtils.clamp(offset, -half, half));
+    });
+    if (outsideSq > 0) {
+        const distance = Math.sqrt(outsideSq);
+        if (normalOut) normalOut.subVectors(point, boxClosest).divideScalar(distance);
+        return distance;
+    }
+    if (normalOut) normalOut.copy(box.axes[insideAxis]).multiplyScalar(insideSign);
+    return maxInside;
+}
+
+// Signed distance from a point to a shape; `normalOut` receives the outward normal that defines it
+function shapeDistance(shape, point, normalOut = null) {
+    if (shape.box) return boxDistance(shape.box, point, normalOut);
+    let maxDistance = -Infinity;
+    let bestPlane = null;
+    for (const plane of shape.planes) {
+        const distance = plane.distanceToPoint(point);
+        if (distance > maxDistance) { maxDistance = distance; bestPlane = plane; }
+    }
+    if (normalOut) normalOut.copy(bestPlane.normal);
+    return maxDistance;
+}
+
+function distanceAlongSegment(shape, start, end, t) {
+    return shapeDistance(shape, segmentPoint.lerpVectors(start, end, t));
+}
+
+// Contact between a capsule (segment start-end, radius) and a shape, or null if they don't touch.
+// Fills `result` = { depth, normal, point }: pushing the capsule by normal * depth separates them,
+// `point` is the contact on the shape surface.
+export function capsuleShapeContact(start, end, radius, shape, result) {
+    // The signed distance is convex along the segment, so a golden-section search finds its minimum
+    let low = 0, high = 1;
+    let t1 = high - GOLDEN_RATIO * (high - low);
+    let t2 = low + GOLDEN_RATIO * (high - low);
+    let d1 = distanceAlongSegment(shape, start, end, t1);
+    let d2 = distanceAlongSegment(shape, start, end, t2);
+    for (let i = 0; i < SEGMENT_SEARCH_STEPS; i++) {
+        if (d1 <= d2) {
+            high = t2; t2 = t1; d2 = d1;
+            t1 = high - GOLDEN_RATIO * (high - low);
+            d1 = distanceAlongSegment(shape, start, end, t1);
+        } else {
+            low = t1; t1 = t2; d1 = d2;
+            t2 = low + GOLDEN_RATIO * (high - low);
+            d2 = distanceAlongSegment(shape, start, end, t2);
+        }
+    }
+
+    // The ends are checked too: the minimum often sits exactly on one of them
+    let bestT = (low + high) / 2;
+    let bestDistance = distanceAlongSegment(shape, start, end, bestT);
+    for (const t of [0, 1]) {
+        const distance = distanceAlongSegment(shape, start, end, t);
+        if (distance < bestDistance) { bestDistance = distance; bestT = t; }
+    }
+    if (bestDistance >= radius) return null;
+
+    segmentPoint.lerpVectors(start, end, bestT);
+    shapeDistance(shape, segmentPoint, result.normal);
+    result.depth = radius - bestDistance;
+    result.point.copy(segmentPoint).addScaledVector(result.normal, -bestDistance);
+    return result;
+}
@@ -2,37 +2,117 @@
 export const PLAYER_HEIGHT = 1.8;
 export const PLAYER_RADIUS = 0.4;
 export const PLAYER_BASE_SPEED = 5.0;
+export const PLAYER_MAX_HEALTH = 100;
 export const JUMP_VELOCITY = 8.0;
 export const BASE_GRAVITY = -20.0; // Base gravity, can be modified by biome
 export const DEFAULT_FRICTION = 0.98; // Multiplier for velocity when grounded and not moving
 export const RESPAWN_Y_THRESHOLD = -20.0; // Y level below which player respawns
 export const HARD_LANDING_VELOCITY_THRESHOLD = -12.0; // Y-velocity threshold for hard landing sound/effect
+export const MAX_WALKABLE_SLOPE_DEG = 40; // Steeper terrain can't be stood on and slides the player down
+export const PLAYER_STEP_HEIGHT = 0.3; // Ledges up to this high are stepped onto while walking
+export const TERRAIN_SNAP_DISTANCE = 0.35; // Keeps the player glued to terrain when walking downhill
+export const PLAYER_CROUCH_HEIGHT = 1.1; // Capsule height while crouching
+export const CROUCH_SPEED_MULTIPLIER = 0.5;
+export const SPRINT_SPEED_MULTIPLIER = 1.6;
+export const PLAYER_MAX_STAMINA = 100;
+export const STAMINA_DRAIN_RATE = 25; // Per second of sprinting
+export const STAMINA_REGEN_RATE = 20; // Per second, once STAMINA_REGEN_DELAY has passed since the last sprint
+export const STAMINA_REGEN_DELAY = 0.8; // Seconds
+export const STAMINA_RECOVERY_THRESHOLD = 25; // After running dry, sprinting is locked until stamina is back to this
+
+// Abilities (unlocked by key clues, see abilities.js)
+export const DOUBLE_JUMP_VELOCITY = 7.0; // Second jump in mid-air
+export const DASH_SPEED = 16.0; // Horizontal speed during a dash
+export const DASH_DURATION = 0.18; // Seconds
+export const DASH_COOLDOWN = 0.8; // Seconds before the next dash (also limited to one per airtime)
+export const GLIDE_FALL_SPEED = -2.0; // Fastest fall while gliding
+export const GLIDE_AIR_CONTROL = 0.08; // Per-step steering blend while gliding (normal air control is 0.03)
+
+// Vine swinging (vine_swing_point prefab)
+export const SWING_GRAB_RANGE = 7.0; // Max distance to a swing point when grabbing
+export const SWING_AIM_ANGLE_DEG = 25; // How far off the view direction a swing point can be and still be grabbed
+export const SWING_AIR_CONTROL = 0.05; // Per-step steering blend while swinging (lets the player pump)
+export const SWING_RELEASE_BOOST = 3.0; // Upward speed added when jumping off the rope
+
+// Camera
+export const THIRD_PERSON_DISTANCE = 4.0; // Camera boom length behind the head
+export const THIRD_PERSON_MIN_DISTANCE = 0.6; // Shortest boom when pulled in by walls
+export const THIRD_PERSON_PIVOT_HEIGHT = 0.3; // Boom pivot above eye level
+export const CAMERA_COLLISION_MARGIN = 0.3; // Gap kept between the camera and whatever blocks the boom
+export const CAMERA_BOOM_RETURN_RATE = 6.0; // Per second, how fast the boom extends again once clear
+
+// Simulation
+export const PHYSICS_TIMESTEP = 1 / 60; // Seconds per fixed simulation step (per-frame factors are tuned for this rate)
+export const MAX_PHYSICS_STEPS_PER_FRAME = 5; // After a long stall, drop time instead of catching up
 
 // Universe
 export const UNIVERSE_RADIUS = 35; // Slightly larger
 export const MAIN_UNIVERSE_RADIUS = 15;
+export const UNIVERSE_HISTORY_SIZE = 5; // Visited random universes the hub can send the player back to
+export const GPU_LEAK_CHECK_HOPS = 4; // Warn when GPU memory after clearing a universe rose on this many switches in a row
+export const PORTAL_WIDTH = 2.0;
+export const PORTAL_HEIGHT = 3.0;
 
 // Interaction
 export const PORTAL_INTERACTION_DISTANCE = 3.0;
 export const CLUE_INTERACTION_DISTANCE = 2.5;
 export const NPC_HINT_INTERACTION_DISTANCE = 3.0;
 export const OBJECTIVE_ITEM_INTERACTION_DISTANCE = 2.0;
+export const PORTAL_TRIGGER_RADIUS = 1.0; // Walking into a portal uses it (Enter still works from further away)
+export const CHECKPOINT_ZONE_HEIGHT = 1.0; // How far above an island top its checkpoint zone reaches
 export const CLUE_DISPLAY_TIMEOUT = 6000; // Longer display
 export const TEMP_MESSAGE_TIMEOUT = 2500; // Duration for temp messages
 
-// Controls
-export const defaultControlMap = { KeyW: 'forward', KeyS: 'backward', KeyA: 'left', KeyD: 'right' };
-export const controlActions = ['forward', 'backward', 'left', 'right'];
+// Controls (action -> key codes, primary then alternate; rebindable, see controls.js)
+export const defaultKeyBindings = {
+    forward: ['KeyW', 'ArrowUp'],
+    backward: ['KeyS', 'ArrowDown'],
+    left: ['KeyA', 'ArrowLeft'],
+    right: ['KeyD', 'ArrowRight'],
+    sprint: ['ShiftLeft', 'ShiftRight'],
+    crouch: ['KeyC', 'ControlRight'],
+    jump: ['Space'],
+    interact: ['KeyE'],
+    usePortal: ['Enter', 'NumpadEnter'],
+    respawn: ['KeyR'],
+    dash: ['KeyQ'],
+    swing: ['KeyF'],
+    camera: ['KeyV'],
+};
+export const controlActions = ['forward', 'backward', 'left', 'right', 'sprint', 'crouch']; // Shuffled by control randomization
+export const KEY_BINDINGS_STORAGE_KEY = 'cvUniverseHopper.keyBindings';
+export const MOUSE_LOOK_SENSITIVITY = 0.002; // Radians per pixel of mouse movement
+export const GAMEPAD_DEADZONE = 0.15; // Stick deflection ignored around the centre
+export const GAMEPAD_LOOK_SPEED = 2.8; // Radians per second at full right-stick deflection
+export const TOUCH_JOYSTICK_RADIUS = 60; // Pixels of thumb travel for full joystick deflection
+export const TOUCH_LOOK_SENSITIVITY = 0.005; // Radians per pixel of look drag
 
 // Paths
 export const ASSETS_PATH = './assets/';
 export const TEXTURE_PATH = ASSETS_PATH + 'textures/';
 export const SOUND_PATH = ASSETS_PATH + 'sounds/';
 export const MODEL_PATH = ASSETS_PATH + 'models/';
+export const BIOME_PATH = ASSETS_PATH + 'biomes/';
+export const BIOME_MANIFEST = 'manifest.json'; // Lists the biome JSON files to load, in order
 
 // Gameplay Tuning
 export const CONTROL_RANDOM_CHANCE = 0.5; // 50% chance per random universe
+export const CONTROL_CHAOS_EXTRA_MODE_CHANCE = 0.3; // Chance a chaotic universe stacks a second mode
+export const CONTROL_INPUT_DELAY = 0.25; // Seconds movement input lags behind under 'inputDelay'
+export const CAMERA_DRIFT_SPEED = 0.35; // Peak yaw rate (radians per second) under 'cameraDrift'
+export const CAMERA_DRIFT_PERIOD = 9; // Seconds for the drift to swing one way and back
+export const STABILIZER_TRIGGER_RADIUS = 1.0; // Walking into the stabilizer picks it up
+export const STABILIZER_MIN_SPAWN_DISTANCE = 8; // Keeps the stabilizer from landing next to the spawn point
 export const MINI_OBJECTIVE_CHANCE = 0.4; // 40% chance per random universe
+export const TIMED_OBJECTIVE_MAX_BONUS = 2; // Extra clue points for finishing a timed objective instantly
+export const OBJECTIVE_TIMER_WARNING = 10; // Seconds left when the timer turns urgent
 export const PLAYER_SPAWN_CLEARANCE_RADIUS = 1.5; // Radius to check around player spawn
 export const PLACEMENT_CLEARANCE_RADIUS_MULTIPLIER = 1.2; // Check slightly larger area for object placement
 export const MAX_PLACEMENT_ATTEMPTS = 15;
+export const SPATIAL_CELL_SIZE = 4; // Broadphase grid cell (world units), see spatialIndex.js
+export const SCENERY_COUNT_RANGE = [20, 45]; // Per random universe; biomes can override with sceneryCount
+
+// Seeds
+export const MAIN_UNIVERSE_SEED = 1; // Hub layout never changes
+export const SEED_URL_PARAM = 'seed'; // ?seed=12345 regenerates that random universe
+export const ABILITIES_URL_PARAM = 'abilities'; // &abilities=dash,glide: the unlocked abilities it was generated for
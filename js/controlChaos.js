@@ -0,0 +1,35 @@
+import * as Constants from './constants.js';
+import * as Random from './random.js';
+import { shuffleArray } from './utils.js';
+
+// Control-chaos modes: disorienting modifiers a random universe can put on the player's
+// controls (rolled against the biome's controlRandomChance, from the modes listed in its
+// controlChaosModes). The effects live in Player (applyControlChaos); this is the catalogue
+// shared by the biome loader, level generation and the HUD messages. Picking up the
+// universe's stabilizer item clears them all (Player.stabilizeControls).
+
+export const CONTROL_CHAOS_MODES = {
+    shuffle: { message: 'Controls Shuffled!' }, // Movement bindings permuted
+    mirroredStrafe: { message: 'Strafing Mirrored!' }, // Left and right swapped
+    invertedLook: { message: 'Mouse Inverted!' }, // Vertical look flipped (mouse, stick and touch alike)
+    inputDelay: { message: 'Input Lag!' }, // Movement reacts CONTROL_INPUT_DELAY late
+    cameraDrift: { message: 'Camera Drifting!' }, // View slowly yaws back and forth on its own
+};
+
+export function isControlChaosMode(name) {
+    return Object.prototype.hasOwnProperty.call(CONTROL_CHAOS_MODES, name);
+}
+
+// One or two distinct modes from `allowedModes`, drawn from the current seed
+export function pickControlChaos(allowedModes = Object.keys(CONTROL_CHAOS_MODES)) {
+    const pool = allowedModes.filter(isControlChaosMode);
+    if (pool.length === 0) return [];
+    shuffleArray(pool);
+    const count = Random.random() < Constants.CONTROL_CHAOS_EXTRA_MODE_CHANCE ? 2 : 1;
+    return pool.slice(0, count);
+}
+
+// "Controls Shuffled! Input Lag!" for the universe-entry message
+export function describeControlChaos(modes) {
+    return modes.map(mode => CONTROL_CHAOS_MODES[mode]?.message ?? mode).join(' ');
+}
@@ -0,0 +1,172 @@
+import * as Constants from './constants.js';
+
+// Key bindings: every keyboard action and the keys that trigger it, rebindable from the
+// controls screen (controlsSettings.js) and saved to localStorage.
+//
+// Bindings use KeyboardEvent.code, the physical key, so the default WASD block sits under
+// ZQSD on AZERTY keyboards without any remapping. Key names shown to the player come from the
+// browser's keyboard layout map where available, so they match what is printed on the keys.
+//
+// Each action has two slots (primary, alternate). A key belongs to at most one action:
+// binding it somewhere clears it from wherever it was before.
+
+export const ACTIONS = {
+    forward: 'Move Forward',
+    backward: 'Move Backward',
+    left: 'Move Left',
+    right: 'Move Right',
+    sprint: 'Sprint',
+    crouch: 'Crouch',
+    jump: 'Jump',
+    interact: 'Interact',
+    usePortal: 'Use Portal',
+    respawn: 'Respawn',
+    dash: 'Dash',
+    swing: 'Grab/Release Vine',
+    camera: 'Toggle Camera',
+};
+export const BINDING_SLOTS = 2;
+
+const KEY_NAMES = {
+    Space: 'Space', Enter: 'Enter', Tab: 'Tab', Backspace: 'Backspace',
+    ShiftLeft: 'Left Shift', ShiftRight: 'Right Shift', ControlLeft: 'Left Ctrl', ControlRight: 'Right Ctrl',
+    AltLeft: 'Left Alt', AltRight: 'Right Alt', ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→',
+};
+
+let bindings = loadBindings();
+let layoutMap = null; // Physical code -> printed key, once the browser reports it
+const listeners = [];
+
+// Defaults with every slot present (null = unbound)
+function defaultBindings() {
+    const result = {};
+    for (const action of Object.keys(ACTIONS)) {
+        const keys = Constants.defaultKeyBindings[action] || [];
+        result[action] = Array.from({ length: BINDING_SLOTS }, (_, slot) => keys[slot] ?? null);
+    }
+    return result;
+}
+
+// Saved bindings over the defaults; anything unreadable is reported and left at its default
+function loadBindings() {
+    const result = defaultBindings();
+    let saved = null;
+    try {
+        const json = globalThis.localStorage?.getItem(Constants.KEY_BINDINGS_STORAGE_KEY);
+        if (json) saved = JSON.parse(json);
+    } catch (error) {
+        console.warn("Could not read saved key bindings, using defaults:", error);
+        return result;
+    }
+    if (!saved || typeof saved !== 'object') return result;
+
+    for (const [action, keys] of Object.entries(saved)) {
+        if (!ACTIONS[action] || !Array.isArray(keys)) {
+            console.warn(`Ignoring saved key binding for unknown action '${action}'.`);
+            continue;
+        }
+        result[action] = Array.from({ length: BINDING_SLOTS }, (_, slot) => (typeof keys[slot] === 'string' ? keys[slot] : null));
+    }
+    return result;
+}
+
+function saveBindings() {
+    try {
+        globalThis.localStorage?.setItem(Constants.KEY_BINDINGS_STORAGE_KEY, JSON.stringify(bindings));
+    } catch (error) {
+        console.warn("Could not save key bindings:", error);
+    }
+}
+
+function notifyChanged() {
+    listeners.forEach(listener => listener(bindings));
+}
+
+export function getBindings() {
+    return bindings;
+}
+
+// Called whenever a binding changes (rebinding, reset)
+export function onBindingsChanged(listener) {
+    listeners.push(listener);
+}
+
+// Action bound to a key code, or null
+export function getActionForCode(code) {
+    for (const action in bindings) {
+        if (bindings[action].includes(code)) return action;
+    }
+    return null;
+}
+
+// Bind `code` to one slot of an action (null clears the slot)
+export function setBinding(action, slot, code) {
+    if (!ACTIONS[action] || slot < 0 || slot >= BINDING_SLOTS) {
+        console.warn(`Invalid key binding: ${action} slot ${slot}.`);
+        return;
+    }
+    if (code) {
+        for (const keys of Object.values(bindings)) {
+            keys.forEach((boundCode, i) => { if (boundCode === code) keys[i] = null; });
+        }
+    }
+    bindings[action][slot] = code;
+    saveBindings();
+    notifyChanged();
+}
+
+export function resetBindings() {
+    bindings = defaultBindings();
+    saveBindings();
+    notifyChanged();
+}
+
+// Key code -> action for every bound key. `remap` swaps actions (original -> replacement),
+// used by control randomization to move the player's own bindings between actions.
+export function buildControlMap(remap = {}) {
+    const controlMap = {};
+    for (const [action, keys] of Object.entries(bindings)) {
+        keys.forEach(code => { if (code) controlMap[code] = remap[action] ?? action; });
+    }
+    return controlMap;
+}
+
+// Ask the browser for printed key names (Chromium only; elsewhere code-based names are used)
+export function loadKeyboardLayout() {
+    if (!globalThis.navigator?.keyboard?.getLayoutMap) return Promise.resolve();
+    return navigator.keyboard.getLayoutMap()
+        .then(map => { layoutMap = map; notifyChanged(); })
+        .catch(error => console.warn("Keyboard layout unavailable, showing key codes:", error));
+}
+
+export function getKeyLabel(code) {
+    if (!code) return '—';
+    const printed = layoutMap?.get(code);
+    if (printed && printed.trim()) return printed.toUpperCase();
+    if (KEY_NAMES[code]) return KEY_NAMES[code];
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    return code;
+}
+
+// Keys of an action for display, e.g. "W / ↑" (or just "W" with primaryOnly)
+export function getActionKeysLabel(action, primaryOnly = false) {
+    const keys = bindings[action].filter(Boolean);
+    if (keys.length === 0) return 'unbound';
+    return primaryOnly ? getKeyLabel(keys[0]) : keys.map(getKeyLabel).join(' / ');
+}
+
+// Fills `{action}` placeholders in hint text with the keys bound to that action
+export function formatControlHint(text) {
+    return text.replace(/\{(\w+)\}/g, (match, action) => (bindings[action] ? getActionKeysLabel(action) : match));
+}
+
+// One-line summary for the instructions bar (primary keys only)
+export function describeControls() {
+    const move = ['forward', 'left', 'backward', 'right'].map(action => getKeyLabel(bindings[action].find(Boolean))).join('');
+    const parts = [`Mouse: Look`, `${move}: Move`];
+    for (const action of ['jump', 'sprint', 'crouch', 'swing', 'camera', 'interact', 'usePortal', 'respawn']) {
+        parts.push(`${getActionKeysLabel(action, true)}: ${ACTIONS[action]}`);
+    }
+    return parts.join(', ');
+}
@@ -0,0 +1,86 @@
+import { ACTIONS, BINDING_SLOTS, getBindings, setBinding, resetBindings, getKeyLabel, onBindingsChanged } from './controls.js';
+
+// Controls screen: every action with its key slots. Clicking a slot waits for the next key
+// press and binds it (Esc cancels, Backspace/Delete clears the slot). While the screen is
+// open it swallows all key presses so the game doesn't act on them.
+
+let panel = null;
+let waitingFor = null; // { action, slot } while capturing a key
+
+export function initControlsSettings() {
+    panel = document.getElementById('controlsPanel');
+    const openButton = document.getElementById('controlsButton');
+    if (!panel || !openButton) {
+        console.warn("Controls screen elements missing, key rebinding unavailable.");
+        return;
+    }
+    openButton.addEventListener('click', (event) => {
+        event.stopPropagation(); // The body click handler would lock the pointer again
+        openControlsSettings();
+    });
+    panel.addEventListener('click', (event) => event.stopPropagation());
+    document.getElementById('controlsReset')?.addEventListener('click', () => {
+        waitingFor = null;
+        resetBindings();
+    });
+    document.getElementById('controlsClose')?.addEventListener('click', closeControlsSettings);
+
+    // Capture phase, so this runs before the game's own key handlers
+    window.addEventListener('keydown', captureKey, true);
+    window.addEventListener('keyup', (event) => { if (isControlsSettingsOpen()) event.preventDefault(); }, true);
+    onBindingsChanged(render);
+}
+
+export function isControlsSettingsOpen() {
+    return panel?.style.display === 'block';
+}
+
+export function openControlsSettings() {
+    if (!panel) return;
+    if (document.pointerLockElement) document.exitPointerLock();
+    waitingFor = null;
+    panel.style.display = 'block';
+    render();
+}
+
+export function closeControlsSettings() {
+    if (!panel) return;
+    waitingFor = null;
+    panel.style.display = 'none';
+}
+
+function captureKey(event) {
+    if (!isControlsSettingsOpen()) return;
+    event.preventDefault(); // Also stops Space/Enter from clicking the focused button
+    event.stopPropagation();
+    if (!waitingFor) {
+        if (event.code === 'Escape') closeControlsSettings();
+        return;
+    }
+    const { action, slot } = waitingFor;
+    waitingFor = null;
+    if (event.code === 'Escape') render();
+    else setBinding(action, slot, event.code === 'Backspace' || event.code === 'Delete' ? null : event.code); // Re-renders
+}
+
+function render() {
+    const table = document.getElementById('controlsTable');
+    if (!table || !isControlsSettingsOpen()) return;
+    const bindings = getBindings();
+    table.innerHTML = '';
+    for (const [action, label] of Object.entries(ACTIONS)) {
+        const row = table.insertRow();
+        row.insertCell().textContent = label;
+        for (let slot = 0; slot < BINDING_SLOTS; slot++) {
+            const waiting = waitingFor?.action === action && waitingFor.slot === slot;
+            const button = document.createElement('button');
+            button.className = waiting ? 'bindingButton waiting' : 'bindingButton';
+            button.textContent = waiting ? 'Press a key…' : getKeyLabel(bindings[action][slot]);
+            button.addEventListener('click', () => {
+                waitingFor = { action, slot };
+                render();
+            });
+            row.insertCell().appendChild(button);
+        }
+    }
+}
@@ -0,0 +1,102 @@
+import * as THREE from 'three';
+import * as Constants from './constants.js';
+
+// GPU resource cleanup for universe switches, plus a small leak check built on renderer.info.
+//
+// Geometries, materials and textures that outlive a universe (preloaded assets, GLTF models
+// that get cloned, the shared resources of instanced prefabs) are registered with
+// markSharedResource and are never disposed here. Everything else reachable from a removed
+// object is assumed to belong to it.
+
+const sharedResources = new WeakSet();
+
+// Protect a geometry/material/texture, or everything used by an Object3D tree, from disposal
+export function markSharedResource(resource) {
+    if (!resource) return;
+    if (resource.isObject3D) {
+        resource.traverse(node => {
+            markSharedResource(node.geometry);
+            toArray(node.material).forEach(material => {
+                markSharedResource(material);
+                getMaterialTextures(material).forEach(markSharedResource);
+            });
+        });
+        return;
+    }
+    sharedResources.add(resource);
+}
+
+export function isSharedResource(resource) {
+    return sharedResources.has(resource);
+}
+
+const toArray = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+// Every texture a material references (maps and shader uniforms)
+function getMaterialTextures(material) {
+    const textures = [];
+    for (const value of Object.values(material)) {
+        if (value?.isTexture) textures.push(value);
+    }
+    if (material.uniforms) {
+        for (const uniform of Object.values(material.uniforms)) {
+            if (uniform?.value?.isTexture) textures.push(uniform.value);
+        }
+    }
+    return textures;
+}
+
+// Dispose everything owned by an object tree and detach its audio. The caller removes it from the scene.
+export function disposeObject3D(root) {
+    const disposed = new Set(); // Tiles and batches share resources within a universe: dispose each once
+    const dispose = (resource) => {
+        if (!resource || disposed.has(resource) || isSharedResource(resource)) return;
+        disposed.add(resource);
+        resource.dispose();
+    };
+
+    root.traverse(node => {
+        if (node instanceof THREE.Audio) {
+            try { if (node.isPlaying) node.stop(); } catch (e) { /* Already stopped */ }
+            node.disconnect();
+            return;
+        }
+        if (node.isInstancedMesh) node.dispose(); // Frees the per-instance attributes
+        dispose(node.geometry);
+        toArray(node.material).forEach(material => {
+            if (isSharedResource(material)) return;
+            getMaterialTextures(material).forEach(dispose);
+            dispose(material);
+        });
+    });
+    return disposed.size;
+}
+
+// --- Leak check ---
+// Sampled right after a universe is cleared, when only shared resources should still be on
+// the GPU. Shared resources are uploaded on first use, so the baseline may creep up while new
+// biomes are seen; it should never keep rising hop after hop.
+
+let monitoredRenderer = null;
+let memorySamples = [];
+
+export function setLeakMonitorRenderer(renderer) {
+    monitoredRenderer = renderer;
+    memorySamples = [];
+}
+
+export function checkGpuMemoryAfterClear() {
+    if (!monitoredRenderer) return;
+    const { geometries, textures } = monitoredRenderer.info.memory;
+    memorySamples.push({ geometries, textures });
+    if (memorySamples.length > Constants.GPU_LEAK_CHECK_HOPS + 1) memorySamples.shift();
+    console.log(`GPU memory after clear: ${geometries} geometries, ${textures} textures.`);
+
+    if (memorySamples.length <= Constants.GPU_LEAK_CHECK_HOPS) return;
+    const grewEveryHop = (key) => memorySamples.every((sample, i) => i === 0 || sample[key] > memorySamples[i - 1][key]);
+    const first = memorySamples[0];
+    if (grewEveryHop('geometries') || grewEveryHop('textures')) {
+        console.warn(`Possible GPU leak: memory grew on each of the last ${Constants.GPU_LEAK_CHECK_HOPS} universe switches ` +
+            `(geometries ${first.geometries} -> ${geometries}, textures ${first.textures} -> ${textures}).`);
+    }
+}
@@ -0,0 +1,88 @@
+import * as Constants from './constants.js';
+
+// Gamepad input through the Gamepad API, polled once per frame from animate(). Uses the first
+// connected pad with the browser's "standard" mapping (Xbox/PlayStation layout). Buttons are
+// translated to the same actions as the keyboard (controls.js): held actions and the left
+// stick go to the Player, which applies control randomization to them like it does to keys;
+// freshly pressed buttons are dispatched by main.js like key presses.
+
+// Standard mapping button index -> action
+const BUTTON_ACTIONS = {
+    0: 'jump', // A / Cross
+    1: 'crouch', // B / Circle
+    2: 'interact', // X / Square
+    3: 'usePortal', // Y / Triangle
+    4: 'swing', // LB / L1
+    5: 'dash', // RB / R1
+    8: 'respawn', // Back / Share
+    10: 'sprint', // Left stick click
+    11: 'camera', // Right stick click
+    12: 'forward', // D-pad
+    13: 'backward',
+    14: 'left',
+    15: 'right',
+};
+const BUTTON_NAMES = { 0: 'A', 1: 'B', 2: 'X', 3: 'Y', 4: 'LB', 5: 'RB', 8: 'Back', 10: 'L3', 11: 'R3' };
+
+let previousButtons = [];
+const state = {
+    connected: false,
+    move: { x: 0, y: 0 }, // Left stick: x = right, y = forward
+    look: { x: 0, y: 0 }, // Right stick: x = right, y = down
+    held: new Set(), // Actions whose buttons are down
+    pressed: [], // Actions whose buttons went down since the last poll
+};
+
+// Radial deadzone, rescaled so the usable range still starts at 0
+function applyDeadzone(x, y, target) {
+    const length = Math.hypot(x, y);
+    if (length < Constants.GAMEPAD_DEADZONE) {
+        target.x = 0;
+        target.y = 0;
+        return target;
+    }
+    const scale = Math.min(1, (length - Constants.GAMEPAD_DEADZONE) / (1 - Constants.GAMEPAD_DEADZONE)) / length;
+    target.x = x * scale;
+    target.y = y * scale;
+    return target;
+}
+
+function findGamepad() {
+    const pads = globalThis.navigator?.getGamepads?.() || [];
+    for (const pad of pads) {
+        if (pad?.connected && pad.mapping === 'standard') return pad;
+    }
+    return null;
+}
+
+// Current gamepad state (neutral when no pad is connected)
+export function pollGamepad() {
+    const pad = findGamepad();
+    state.held.clear();
+    state.pressed.length = 0;
+    state.connected = pad !== null;
+    if (!pad) {
+        state.move.x = state.move.y = state.look.x = state.look.y = 0;
+        previousButtons = [];
+        return state;
+    }
+
+    applyDeadzone(pad.axes[0] || 0, -(pad.axes[1] || 0), state.move);
+    applyDeadzone(pad.axes[2] || 0, pad.axes[3] || 0, state.look);
+    pad.buttons.forEach((button, index) => {
+        const action = BUTTON_ACTIONS[index];
+        if (!action) return;
+        if (button.pressed) {
+            state.held.add(action);
+            if (!previousButtons[index]) state.pressed.push(action);
+        }
+        previousButtons[index] = button.pressed;
+    });
+    return state;
+}
+
+// "A: Jump, B: Crouch, ..." for the help panel
+export function describeGamepadControls(actionLabels) {
+    const buttons = Object.entries(BUTTON_NAMES).map(([index, name]) => `${name}: ${actionLabels[BUTTON_ACTIONS[index]]}`);
+    return ['Left stick / D-pad: Move', 'Right stick: Look', ...buttons].join(', ');
+}
@@ -0,0 +1,123 @@
+import * as THREE from 'three';
+import * as Random from './random.js';
+import { addWorldObject } from './utils.js';
+import { registerMovingPlatform } from './movingPlatforms.js';
+
+// Tiled floor for biomes with `useGridFloor` (TECHNO_GRID).
+// Every cell is its own ground mesh so tiles can be missing (pits) or raised (blocks),
+// and the grid texture drives an emissive glow along the seams. Lift tiles are pillars that
+// rise out of the floor and sink back (moving platforms); nothing is placed on them.
+
+const TILE_THICKNESS = 0.4;
+const SPAWN_SAFE_RADIUS = 6.0; // Tiles near the spawn point are always present and flat
+const LIFT_SPEED = 1.0; // m/s
+const LIFT_PAUSE = 2.0; // Seconds a lift waits at the top and bottom
+
+const DEFAULT_GRID_CONFIG = {
+    cellSize: 4,
+    holeChance: 0.08,
+    raisedChance: 0.15,
+    raisedHeightRange: [0.5, 1.2], // Keep below the jump apex so blocks can be climbed
+    liftChance: 0,
+    liftHeight: 3.0,
+};
+
+// Generates the tile grid, adds it to the scene/world and returns the layout
+export function generateGridFloor(scene, worldObjectsRef, options = {}) {
+    const { universeRadius, groundTexture = null, groundColor = 0x222222, emissiveColor = 0x00ccff } = options;
+    const config = { ...DEFAULT_GRID_CONFIG, ...options.config };
+    const cellSize = config.cellSize;
+
+    if (groundTexture) {
+        groundTexture.wrapS = groundTexture.wrapT = THREE.RepeatWrapping;
+        groundTexture.repeat.set(1, 1); // One grid texture tile per floor cell
+        groundTexture.needsUpdate = true;
+    }
+
+    // Shared geometry/materials: tiles only differ in transform
+    const tileGeometry = new THREE.BoxGeometry(1, 1, 1);
+    const floorMaterial = new THREE.MeshStandardMaterial({
+        color: groundColor,
+        map: groundTexture,
+        emissive: emissiveColor,
+        emissiveMap: groundTexture,
+        emissiveIntensity: 0.6,
+        metalness: 0.6,
+        roughness: 0.4,
+    });
+    const raisedMaterial = floorMaterial.clone();
+    raisedMaterial.emissiveIntensity = 1.2;
+    const liftMaterial = floorMaterial.clone();
+    liftMaterial.emissiveIntensity = 2.0;
+
+    const tiles = [];
+    const lifts = [];
+    const cellsPerSide = Math.ceil(universeRadius / cellSize);
+    let holeCount = 0;
+
+    for (let ix = -cellsPerSide; ix <= cellsPerSide; ix++) {
+        for (let iz = -cellsPerSide; iz <= cellsPerSide; iz++) {
+            const x = ix * cellSize;
+            const z = iz * cellSize;
+            const distFromCenter = Math.hypot(x, z);
+            if (distFromCenter > universeRadius) continue;
+
+            const inSpawnArea = distFromCenter < SPAWN_SAFE_RADIUS;
+            const roll = Random.random();
+            if (!inSpawnArea && roll < config.holeChance) { holeCount++; continue; } // Missing tile
+            if (!inSpawnArea && roll > 1 - config.liftChance) {
+                lifts.push(addLiftTile(scene, worldObjectsRef, tileGeometry, liftMaterial, x, z, cellSize, config.liftHeight));
+                continue;
+            }
+
+            const isRaised = !inSpawnArea && roll < config.holeChance + config.raisedChance;
+            const topY = isRaised ? Random.randFloat(config.raisedHeightRange[0], config.raisedHeightRange[1]) : 0;
+            const height = TILE_THICKNESS + topY;
+
+            const tile = new THREE.Mesh(tileGeometry, isRaised ? raisedMaterial : floorMaterial);
+            tile.scale.set(cellSize, height, cellSize); // Full cell: seams are only drawn by the texture, so ground is continuous
+            tile.position.set(x, topY - height / 2, z);
+            tile.castShadow = isRaised;
+            tile.receiveShadow = true;
+            tile.userData = { isGround: true, isGridTile: true, isRaised, boundingBox: new THREE.Box3() };
+            tile.userData.boundingBox.setFromObject(tile);
+
+            scene.add(tile);
+            addWorldObject(worldObjectsRef, tile);
+            tiles.push({ mesh: tile, x, z, topY, isRaised });
+        }
+    }
+
+    console.log(`Generated grid floor: ${tiles.length} tiles, ${holeCount} missing, ${lifts.length} lifts (cell size ${cellSize}).`);
+    return { tiles, lifts, cellSize };
+}
+
+// Pillar filling the cell whose top goes from floor level up `liftHeight` and back
+function addLiftTile(scene, worldObjectsRef, geometry, material, x, z, cellSize, liftHeight) {
+    const height = TILE_THICKNESS + liftHeight;
+    const lift = new THREE.Mesh(geometry, material);
+    lift.scale.set(cellSize, height, cellSize);
+    lift.position.set(x, -height / 2, z);
+    lift.castShadow = true;
+    lift.receiveShadow = true;
+    lift.userData = { isGround: true, isGridTile: true, boundingBox: new THREE.Box3() };
+
+    scene.add(lift);
+    addWorldObject(worldObjectsRef, lift);
+    const travelTime = liftHeight / LIFT_SPEED;
+    registerMovingPlatform(lift, {
+        type: 'linear',
+        from: lift.position.clone(),
+        to: new THREE.Vector3(x, liftHeight - height / 2, z),
+        travelTime,
+        pause: LIFT_PAUSE,
+        startTime: Random.randFloat(0, 2 * (travelTime + LIFT_PAUSE)),
+    });
+    return lift;
+}
+
+// Tiles as placement surfaces for placeObjectRandomly (see utils.setPlacementSurfaces)
+export function getGridPlacementSurfaces(layout) {
+    if (!layout) return null;
+    return layout.tiles.map(tile => ({ x: tile.x, z: tile.z, radius: layout.cellSize / 2, y: tile.topY }));
+}
@@ -0,0 +1,121 @@
+import * as THREE from 'three';
+import * as Constants from './constants.js';
+import * as UI from './ui.js';
+import * as Audio from './audio.js';
+import { triggerScreenShake } from './utils.js';
+import { registerTrigger, getTriggers } from './triggers.js';
+
+// Hazard subsystem: reads the isHazard / hazardType tags set on scenery and applies
+// their effect to the player. Each placed hazard gets a 'hazard' trigger zone; main.js
+// routes its onEnter/onStay to applyHazardContact.
+
+// How each hazard type hurts the player
+export const HAZARD_TYPES = {
+    lava: { damagePerSecond: 35, feedbackInterval: 0.5 }, // Damage over time while standing in it
+    force_field: { damagePerHit: 20, hitCooldown: 0.8, knockback: 7.0, pulsePeriod: 2.0, activeFraction: 0.6 }, // Pulsing wall
+};
+
+// Scenery prefabs that spawn a hazard, by biome `possibleHazards` name
+export const HAZARD_PREFABS = {
+    lava_pool_hazard: 'lava',
+    force_field_barrier: 'force_field',
+};
+
+const CONTACT_MARGIN = 0.15; // Touching distance (the player is pushed out of solid hazards)
+
+let elapsedTime = 0;
+let feedbackCooldown = 0; // Throttles shake/sound for continuous damage
+let forceFieldHitCooldown = 0;
+
+const knockbackDir = new THREE.Vector3();
+const hazardCenter = new THREE.Vector3();
+
+function playHitFeedback(intensity = 0.05) {
+    triggerScreenShake(0.2, intensity);
+    Audio.playErrorSound();
+}
+
+// Force fields pulse between an active (damaging) and a dim, harmless phase
+function updateForceFieldPulse(hazard) {
+    const config = HAZARD_TYPES.force_field;
+    const phase = ((elapsedTime + (hazard.userData.pulseOffset || 0)) % config.pulsePeriod) / config.pulsePeriod;
+    const active = phase < config.activeFraction;
+    hazard.userData.hazardActive = active;
+
+    const material = hazard.material;
+    if (material) {
+        const wave = 0.5 + 0.5 * Math.sin(phase * Math.PI * 2);
+        material.emissiveIntensity = active ? 1.5 + wave : 0.2;
+        material.opacity = active ? 0.55 + wave * 0.2 : 0.15;
+    }
+}
+
+// Contact zone for a placed hazard: its bounds plus the touching margin
+export function registerHazardTrigger(hazard) {
+    if (!HAZARD_TYPES[hazard.userData.hazardType] || !hazard.userData.boundingBox) {
+        console.warn("Hazard without a known type or bounds:", hazard.userData.prefabName);
+        return null;
+    }
+    return registerTrigger({
+        kind: 'hazard',
+        shape: 'box',
+        box: hazard.userData.boundingBox.clone().expandByScalar(CONTACT_MARGIN),
+        object: hazard,
+        ignoreInitialOverlap: false, // Standing in lava hurts even if you got there without walking in
+    });
+}
+
+// Per-frame hazard update: timers, force field pulses and falling out of the world.
+// callbacks.onPlayerDeath(reason) is called when the player has to respawn.
+export function updateHazards(deltaTime, player, callbacks = {}) {
+    if (!player) return;
+    elapsedTime += deltaTime;
+    feedbackCooldown = Math.max(0, feedbackCooldown - deltaTime);
+    forceFieldHitCooldown = Math.max(0, forceFieldHitCooldown - deltaTime);
+
+    for (const trigger of getTriggers()) {
+        if (trigger.kind === 'hazard' && trigger.object.userData.hazardType === 'force_field') updateForceFieldPulse(trigger.object);
+    }
+
+    // Falling out of the world is an instant respawn everywhere
+    if (player.getPosition().y < Constants.RESPAWN_Y_THRESHOLD) {
+        console.log(`Player fell below threshold (${Constants.RESPAWN_Y_THRESHOLD}). Respawning.`);
+        callbacks.onPlayerDeath?.('fall_death');
+    }
+}
+
+// A 'hazard' zone's onEnter/onStay: the player is touching `hazard` this step
+export function applyHazardContact(hazard, player, deltaTime, callbacks = {}) {
+    const hazardType = hazard.userData.hazardType;
+    const config = HAZARD_TYPES[hazardType];
+    if (!config) return;
+
+    if (config.damagePerSecond) {
+        player.takeDamage(config.damagePerSecond * deltaTime);
+        if (feedbackCooldown <= 0) {
+            playHitFeedback(0.04);
+            feedbackCooldown = config.feedbackInterval;
+        }
+    }
+
+    if (config.damagePerHit && hazard.userData.hazardActive && forceFieldHitCooldown <= 0) {
+        player.takeDamage(config.damagePerHit);
+        forceFieldHitCooldown = config.hitCooldown;
+        playHitFeedback(0.08);
+
+        // Shove the player away from the barrier
+        hazard.userData.boundingBox.getCenter(hazardCenter);
+        knockbackDir.subVectors(player.getPosition(), hazardCenter).setY(0);
+        if (knockbackDir.lengthSq() < 0.0001) knockbackDir.set(1, 0, 0);
+        knockbackDir.normalize().multiplyScalar(config.knockback);
+        player.velocity.x = knockbackDir.x;
+        player.velocity.z = knockbackDir.z;
+        player.velocity.y = Math.max(player.velocity.y, 2.0);
+    }
+
+    UI.updateHealthDisplay(player.health, player.maxHealth);
+    if (player.health <= 0) {
+        console.log(`Player killed by hazard: ${hazardType}`);
+        callbacks.onPlayerDeath?.(hazardType);
+    }
+}
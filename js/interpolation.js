@@ -0,0 +1,55 @@
+// Render interpolation for objects moved by the fixed-step simulation (see animate() in main.js).
+// Tracked objects keep the poses (position and rotation) of the last two simulation steps; before
+// rendering they are placed between them by the leftover fraction of a step, and put back before
+// the next step so physics only ever sees simulated poses.
+
+const tracked = new Map(); // object -> { previous, current, previousQuaternion, currentQuaternion }
+
+export function trackInterpolation(object) {
+    tracked.set(object, {
+        previous: object.position.clone(),
+        current: object.position.clone(),
+        previousQuaternion: object.quaternion.clone(),
+        currentQuaternion: object.quaternion.clone(),
+    });
+}
+
+export function untrackInterpolation(object) {
+    tracked.delete(object);
+}
+
+// After a teleport (respawn, universe switch): don't smear the jump across a frame
+export function snapInterpolation(object) {
+    const state = tracked.get(object);
+    if (!state) return;
+    state.previous.copy(object.position);
+    state.current.copy(object.position);
+    state.previousQuaternion.copy(object.quaternion);
+    state.currentQuaternion.copy(object.quaternion);
+}
+
+// Before stepping: move everything back to its simulated pose
+export function restoreSimulatedPositions() {
+    tracked.forEach((state, object) => {
+        object.position.copy(state.current);
+        object.quaternion.copy(state.currentQuaternion);
+    });
+}
+
+// At the start of every simulation step
+export function recordPreviousPositions() {
+    tracked.forEach((state, object) => {
+        state.previous.copy(object.position);
+        state.previousQuaternion.copy(object.quaternion);
+    });
+}
+
+// After stepping: alpha = leftover accumulator / step (0..1)
+export function applyInterpolation(alpha) {
+    tracked.forEach((state, object) => {
+        state.current.copy(object.position);
+        state.currentQuaternion.copy(object.quaternion);
+        object.position.lerpVectors(state.previous, state.current, alpha);
+        object.quaternion.slerpQuaternions(state.previousQuaternion, state.currentQuaternion, alpha);
+    });
+}
@@ -2,19 +2,39 @@ import * as THREE from 'three';
 import * as Constants from './constants.js';
 import { initScene, resizeRenderer } from './sceneSetup.js';
 import { Player } from './player.js';
-import { generateUniverse, getCurrentUniverseType, getActivePortals } from './universeManager.js';
-import { initClues, getActiveClueMeshes, getMasterClueList, removeActiveClueMesh } from './clue.js';
+import { generateUniverse, getCurrentUniverseType, getActivePortals, captureUniverseSnapshot, getActiveStabilizer } from './universeManager.js';
+import { recordUniverse, takePreviousUniverse } from './universeHistory.js';
+import { getActiveClueMeshes, getMasterClueList, removeActiveClueMesh } from './clue.js';
 import { updateAllNPCs, getActiveNPCsData } from './npc.js';
 import { updatePortals } from './portal.js';
 import * as UI from './ui.js';
 import * as Audio from './audio.js';
 import { preloadAllAssets } from './assetsLoader.js'; // Import asset loader
+import { loadBiomeDefinitions } from './biomeLoader.js';
+import { updateHazards, applyHazardContact } from './hazards.js';
+import { parseSeed } from './random.js';
+import { removeWorldObject } from './utils.js';
+import { disposeObject3D, setLeakMonitorRenderer } from './disposal.js';
+import { ABILITIES, normalizeAbilities } from './abilities.js';
+import { trackInterpolation, restoreSimulatedPositions, recordPreviousPositions, applyInterpolation } from './interpolation.js';
+import { updateTriggers } from './triggers.js';
+import { updateMovingPlatforms } from './movingPlatforms.js';
+import { ACTIONS, getActionForCode, getActionKeysLabel, describeControls, formatControlHint, onBindingsChanged, loadKeyboardLayout } from './controls.js';
+import { pollGamepad, describeGamepadControls } from './gamepad.js';
+import { initTouchControls, getTouchInput } from './touchControls.js';
+import { initControlsSettings, isControlsSettingsOpen } from './controlsSettings.js';
+import { describeControlChaos } from './controlChaos.js';
+import { updateObjective, interactWithObjectiveItem, isObjectiveComplete, cleanupObjective, isObjectiveTimed, hasObjectiveTimedOut, getObjectiveReward } from './objectives/index.js';
 
 // --- Core Variables ---
 let scene, camera, renderer;
 let player;
 let clock;
+let physicsAccumulator = 0; // Unsimulated time carried over to the next frame
 let keysPressed = {};
+let gamepadConnected = false;
+const NO_STICK = { x: 0, y: 0 };
+const NO_ACTIONS = new Set();
 
 // --- Game State ---
 export let worldObjects = []; // Shared list for collision detection (cleared/rebuilt by universeManager)
@@ -36,43 +56,58 @@ async function init() {
     camera = sceneContainer.camera;
     renderer = sceneContainer.renderer;
     document.body.appendChild(renderer.domElement);
+    setLeakMonitorRenderer(renderer); // Warns in the console if GPU memory keeps growing across universe switches
 
     // Initialize subsystems AFTER scene/camera exist
     Audio.initAudio(camera); // Pass camera for listener
-    initClues();
 
     // Create Player (AFTER camera exists)
     player = new Player(scene, camera);
+    trackInterpolation(player.mesh); // The camera follows the interpolated mesh between physics steps
     // Add player's mesh to world objects if it's used for collision checks BY OTHER entities
     // player.mesh.userData.isPlayerMesh = true; // Add a flag
     // worldObjects.push(player.mesh); // Player collision done internally mostly
 
-    // --- Update Instructions ---
-    const instructionsElement = document.getElementById('instructions');
-    if (instructionsElement && !instructionsElement.textContent.includes('R: Respawn')) { // Avoid adding multiple times
-        instructionsElement.textContent += ', R: Respawn';
-    }
-    // --- End Update Instructions ---
+    // --- Instructions & Key Bindings ---
+    const refreshControlsText = () => UI.updateControlsText(describeControls(), getActionKeysLabel);
+    refreshControlsText();
+    onBindingsChanged(refreshControlsText);
+    loadKeyboardLayout(); // Printed key names, when the browser can tell
+    initControlsSettings();
 
 
     // --- Load Assets ---
     await preloadAllAssets(); // Wait for assets
+    await loadBiomeDefinitions(); // JSON biomes must be in BIOMES before the first universe is rolled
 
     // --- Initial Universe ---
     UI.showLoading(false); // Hide loading indicator
-    switchUniverse('main'); // Generate the first universe AFTER assets are loaded
+    // A ?seed= link (plus &abilities= when the HUD showed some) drops straight into that
+    // exact random universe (for reproducing reports)
+    const urlParams = new URLSearchParams(window.location.search);
+    const urlSeed = parseSeed(urlParams.get(Constants.SEED_URL_PARAM));
+    if (urlSeed !== null) {
+        const urlAbilities = normalizeAbilities(urlParams.get(Constants.ABILITIES_URL_PARAM) ?? '');
+        console.log(`Seed requested via URL: ${urlSeed}`, urlAbilities);
+        switchUniverse('random', { seed: urlSeed, abilities: urlAbilities });
+    } else {
+        switchUniverse('main'); // Generate the first universe AFTER assets are loaded
+    }
 
     // --- Event Listeners ---
     document.addEventListener('keydown', onKeyDown);
     document.addEventListener('keyup', onKeyUp);
     window.addEventListener('resize', onWindowResize);
+    const touchEnabled = initTouchControls({
+        onAction: performAction,
+        onLook: (yawDelta, pitchDelta) => player.rotateView(yawDelta, pitchDelta),
+    });
     document.body.addEventListener('click', () => {
-        document.body.requestPointerLock();
-        // Resume audio context on first click (required by browsers)
-        if (Audio.audioContext && Audio.audioContext.state === 'suspended') {
-            Audio.audioContext.resume();
-        }
+        if (isControlsSettingsOpen()) return;
+        if (!touchEnabled) document.body.requestPointerLock(); // Touch devices look by dragging instead
+        resumeAudio();
     });
+    document.addEventListener('touchend', resumeAudio); // Touch controls cancel the click that would do this
     document.addEventListener('mousemove', onMouseMove, false);
     document.addEventListener('pointerlockchange', handlePointerLockChange, false);
 
@@ -85,12 +120,16 @@ async function init() {
 // worldObjects is cleared and rebuilt by universeManager now.
 
 // --- Universe Switching ---
-function switchUniverse(type) {
+function switchUniverse(type, options = {}) {
     console.log(`Switching to universe type: ${type}`);
     // UI.showFadeOverlay(true); // Optional fade
 
+    // Remember the universe being left so the hub can send the player back to it
+    recordUniverse(captureUniverseSnapshot(currentObjective));
+
     // Generate returns necessary parameters and modifies worldObjects array directly
-    const { safeSpawnPos, physicsParams, shouldRandomizeControls, currentObjective: newObjective } = generateUniverse(scene, worldObjects, type);
+    const { safeSpawnPos, physicsParams, controlChaos, currentObjective: newObjective, seed, abilities } = generateUniverse(scene, worldObjects, type, { abilities: player.getUnlockedAbilities(), ...options });
+    UI.updateSeedDisplay(seed, abilities);
 
     // --- STORE SPAWN POINT ---
     currentSpawnPoint.copy(safeSpawnPos); // Store the safe spawn point for this universe
@@ -99,6 +138,7 @@ function switchUniverse(type) {
 
     player.reset(safeSpawnPos); // Reset player to the initial point
     player.setPhysicsParams(physicsParams); // Apply biome physics to player
+    UI.updateHealthDisplay(player.health, player.maxHealth);
 
     if (type === 'main') {
         player.resetControls();
@@ -106,13 +146,13 @@ function switchUniverse(type) {
         UI.updateClueReviewPanel(getMasterClueList(), collectedClueIndices);
     } else {
         // Increment score only when entering a *new* random one
-        if (type === 'random') {
+        if (type === 'random' && !options.restore) {
              universeScore++;
         }
-        // Handle control randomization
-        if (shouldRandomizeControls) {
-            player.randomizeControls();
-            UI.displayTemporaryMessage("Controls Shuffled!", Constants.TEMP_MESSAGE_TIMEOUT);
+        // Handle control chaos (cleared again by the universe's stabilizer)
+        if (controlChaos.length > 0) {
+            player.applyControlChaos(controlChaos);
+            UI.displayTemporaryMessage(`${describeControlChaos(controlChaos)} Find the stabilizer to fix them.`, Constants.TEMP_MESSAGE_TIMEOUT * 1.6);
         } else {
             player.resetControls(); // Ensure controls are default if not randomized for this universe
         }
@@ -135,24 +175,26 @@ function onKeyDown(event) {
     if (document.pointerLockElement !== document.body && event.code !== 'Escape') return;
 
     keysPressed[event.code] = true;
-    // Don't update player movement keys immediately if respawning
-    // player.updateMovementKeys(keysPressed); // Inform player
+    const action = getActionForCode(event.code); // Held actions (movement, sprint...) are read by the Player
+
+    // Update movement keys only if not respawning
+    if (action !== 'respawn') player.updateMovementKeys(keysPressed);
+    performAction(action);
+    if (event.code === 'Escape') document.exitPointerLock(); // Allow Esc to exit pointer lock
+}
 
+// One-shot actions, from a key press, a gamepad button (see updateGamepadInput) or a touch button
+function performAction(action) {
     // --- MANUAL RESPAWN ---
-    if (event.code === 'KeyR') {
-        console.log("Manual respawn triggered.");
-        Audio.playRespawnSound(); // Play respawn sound (added in audio.js)
-        player.reset(currentSpawnPoint); // Reset to stored spawn point
+    if (action === 'respawn') {
+        respawnPlayer('manual');
         return; // Stop processing other keys this frame
     }
     // --- END RESPAWN ---
 
-    // Update movement keys only if not respawning
-    player.updateMovementKeys(keysPressed);
-
     // Interaction keys
-    if (event.code === 'Enter') handleInteraction(getActivePortals(), Constants.PORTAL_INTERACTION_DISTANCE, handlePortalUse);
-    if (event.code === 'KeyE') {
+    if (action === 'usePortal') handleInteraction(getActivePortals(), Constants.PORTAL_INTERACTION_DISTANCE, handlePortalUse);
+    if (action === 'interact') {
         // Prioritize clues, then NPCs, then objective items
         let interacted = handleInteraction(getActiveClueMeshes(), Constants.CLUE_INTERACTION_DISTANCE, handleClueCollect);
         if (!interacted) interacted = handleInteraction(getActiveNPCsData(), Constants.NPC_HINT_INTERACTION_DISTANCE, handleNPCHint); // Check NPCs
@@ -161,8 +203,41 @@ function onKeyDown(event) {
     }
 
     // Player actions
-    if (event.code === 'Space') player.jump();
-    if (event.code === 'Escape') document.exitPointerLock(); // Allow Esc to exit pointer lock
+    if (action === 'jump') player.jump();
+    if (action === 'dash') player.dash();
+    if (action === 'swing' && !player.toggleSwing(worldObjects) && player.onGround && player.findSwingPoint(worldObjects)) {
+        UI.displayTemporaryMessage(formatControlHint('Jump, then press {swing} to grab the vine'), 2000);
+    }
+    if (action === 'camera') {
+        const mode = player.toggleCameraMode();
+        UI.displayTemporaryMessage(mode === 'third' ? 'Third-person view' : 'First-person view', 1500);
+    }
+}
+
+// Polled once per frame, before the simulation steps that read the held actions and stick.
+// Works with or without pointer lock; paused while the controls screen is open.
+function updateGamepadInput(frameTime) {
+    const pad = pollGamepad();
+    if (pad.connected !== gamepadConnected) {
+        gamepadConnected = pad.connected;
+        UI.displayTemporaryMessage(gamepadConnected ? 'Gamepad connected' : 'Gamepad disconnected', 2000);
+        UI.showGamepadHelp(gamepadConnected ? describeGamepadControls(ACTIONS) : null);
+    }
+    if (isControlsSettingsOpen()) {
+        player.setAnalogInput('gamepad', NO_STICK, NO_ACTIONS);
+        return;
+    }
+    player.setAnalogInput('gamepad', pad.move, pad.held);
+    const lookStep = Constants.GAMEPAD_LOOK_SPEED * frameTime;
+    if (pad.look.x !== 0 || pad.look.y !== 0) player.rotateView(pad.look.x * lookStep, pad.look.y * lookStep);
+    pad.pressed.forEach(performAction);
+}
+
+// The on-screen joystick and buttons, read once per frame like the gamepad
+function updateTouchInput() {
+    const touch = getTouchInput();
+    if (!touch.enabled) return;
+    player.setAnalogInput('touch', touch.move, touch.held);
 }
 
 function onKeyUp(event) {
@@ -170,6 +245,13 @@ function onKeyUp(event) {
     player.updateMovementKeys(keysPressed);
 }
 
+// Resume audio context on the first click or tap (required by browsers)
+function resumeAudio() {
+    if (Audio.audioContext && Audio.audioContext.state === 'suspended') {
+        Audio.audioContext.resume();
+    }
+}
+
 function onWindowResize() {
     resizeRenderer(camera, renderer);
 }
@@ -193,6 +275,43 @@ function handlePointerLockChange() {
 }
 
 
+// Respawn at the stored spawn point with full health (manual, fall or hazard death)
+function respawnPlayer(reason) {
+    console.log(`Respawning player (${reason}).`);
+    Audio.playRespawnSound(); // Play respawn sound (added in audio.js)
+    player.reset(currentSpawnPoint); // Reset to stored spawn point
+    UI.updateHealthDisplay(player.health, player.maxHealth);
+}
+
+// --- Trigger Zones ---
+// Walk-in counterparts of the E/Enter interactions, by zone kind (see triggers.js)
+const triggerHandlers = {
+    portal: { onEnter: (trigger) => handlePortalUse(trigger.object) },
+    objective_item: { onEnter: (trigger) => handleObjectiveItemInteract(trigger.object) },
+    stabilizer: { onEnter: (trigger) => handleStabilizerCollect(trigger.object) },
+    hazard: {
+        onEnter: (trigger, contactPlayer, deltaTime) => applyHazardContact(trigger.object, contactPlayer, deltaTime, { onPlayerDeath: respawnPlayer }),
+        onStay: (trigger, contactPlayer, deltaTime) => applyHazardContact(trigger.object, contactPlayer, deltaTime, { onPlayerDeath: respawnPlayer }),
+    },
+    checkpoint: {
+        onEnter: (trigger) => {
+            currentSpawnPoint.copy(trigger.data.spawnPoint);
+            console.log("Checkpoint reached:", currentSpawnPoint.toArray().map(n => n.toFixed(2)));
+            UI.displayTemporaryMessage("Checkpoint reached", 1500);
+        },
+    },
+};
+
+// The stabilizer clears control chaos for the rest of this universe (a snapshot remembers it was taken)
+function handleStabilizerCollect(stabilizer) {
+    scene.remove(stabilizer);
+    disposeObject3D(stabilizer);
+    if (player.stabilizeControls()) {
+        Audio.playSound('collect_clue', 0.7, -300);
+        UI.displayTemporaryMessage("Controls stabilized!", Constants.TEMP_MESSAGE_TIMEOUT);
+    }
+}
+
 // --- Interaction Logic ---
 // Generic interaction handler
 function handleInteraction(objects, distance, callback) {
@@ -233,6 +352,13 @@ function handleInteraction(objects, distance, callback) {
 function handlePortalUse(portalMesh) {
     if (!portalMesh || !portalMesh.userData) { console.error("Invalid portal mesh data"); return; }
     const portalType = portalMesh.userData.type;
+    if (portalType === 'previous') {
+        const previous = takePreviousUniverse();
+        if (!previous) { Audio.playErrorSound(); UI.displayTemporaryMessage("No previous universe to return to.", 2000); return; }
+        Audio.playPortalEnterSound('random');
+        switchUniverse('random', { restore: previous });
+        return;
+    }
     Audio.playPortalEnterSound(portalType);
     switchUniverse(portalType);
 }
@@ -253,12 +379,17 @@ function handleClueCollect(clueMesh, index) {
     }
 
     UI.showClueText(clueData.text);
+    if (clueData.unlocksAbility && player.unlockAbility(clueData.unlocksAbility)) {
+        const ability = ABILITIES[clueData.unlocksAbility];
+        UI.displayTemporaryMessage(`New ability: ${ability.name} - ${formatControlHint(ability.hint)}`, 5000);
+    }
     if (clueData.isKeyClue) { Audio.playKeyClueSound(); }
     else { Audio.playClueCollectSound(); }
 
     if (clueMesh.parent) { scene.remove(clueMesh); }
-    worldObjects = worldObjects.filter(obj => obj !== clueMesh);
+    removeWorldObject(worldObjects, clueMesh);
     removeActiveClueMesh(clueMesh);
+    disposeObject3D(clueMesh);
 }
 
 function handleNPCHint(npcData) {
@@ -270,66 +401,100 @@ function handleNPCHint(npcData) {
      return false;
 }
 
+function getObjectiveContext() {
+    return { scene, worldObjectsRef: worldObjects };
+}
+
 function handleObjectiveItemInteract(itemMesh, index) {
     if (!currentObjective || !itemMesh || !itemMesh.userData || !itemMesh.userData.isObjectiveItem) return false;
 
-    if (itemMesh.userData.objectiveType === currentObjective.type) {
-        console.log(`Interacted with objective item: ${currentObjective.type}`);
-        currentObjective.current++;
-        UI.updateObjectiveDisplay(currentObjective);
-        Audio.playSound('collect_clue', 0.6);
-
-        if (itemMesh.parent) { scene.remove(itemMesh); }
-        worldObjects = worldObjects.filter(obj => obj !== itemMesh);
-        currentObjective.items = currentObjective.items.filter(item => item !== itemMesh);
-
-        if (currentObjective.current >= currentObjective.required) {
-            console.log(`Objective complete: ${currentObjective.type}`);
-            Audio.playObjectiveCompleteSound();
-            UI.displayTemporaryMessage(`Objective Complete: ${currentObjective.text}`, 3000);
-            clueScore += 1; // Bonus score point
-            UI.updateScoreDisplay(universeScore, clueScore);
-            currentObjective = null;
-            UI.updateObjectiveDisplay(null);
-        }
-        return true;
+    const context = getObjectiveContext();
+    if (!interactWithObjectiveItem(currentObjective, itemMesh, context)) return false;
+    console.log(`Interacted with objective item: ${currentObjective.type}`);
+    UI.updateObjectiveDisplay(currentObjective);
+
+    if (isObjectiveComplete(currentObjective)) {
+        console.log(`Objective complete: ${currentObjective.type}`);
+        Audio.playObjectiveCompleteSound();
+        const reward = getObjectiveReward(currentObjective); // Timed objectives pay more the faster they're done
+        UI.displayTemporaryMessage(`Objective Complete: ${currentObjective.text} (+${reward})`, 3000);
+        clueScore += reward; // Bonus score points
+        UI.updateScoreDisplay(universeScore, clueScore);
+        cleanupObjective(currentObjective, context);
+        currentObjective = null;
+        UI.updateObjectiveDisplay(null);
     }
-    return false;
+    return true;
+}
+
+
+// Countdown ran out: the remaining items vanish and the objective is gone for this universe
+function handleObjectiveFailed() {
+    console.log(`Objective failed (time out): ${currentObjective.type}`);
+    Audio.playErrorSound();
+    UI.displayTemporaryMessage(`Objective Failed: ${currentObjective.text}`, 3000);
+    cleanupObjective(currentObjective, getObjectiveContext());
+    currentObjective = null;
+    UI.updateObjectiveDisplay(null);
+}
+
+function updateCurrentObjective(deltaTime) {
+    const shownSeconds = Math.ceil(currentObjective.timeRemaining);
+    updateObjective(currentObjective, deltaTime, getObjectiveContext());
+    if (!isObjectiveTimed(currentObjective)) return;
+
+    if (hasObjectiveTimedOut(currentObjective)) { handleObjectiveFailed(); return; }
+    if (Math.ceil(currentObjective.timeRemaining) !== shownSeconds) UI.updateObjectiveDisplay(currentObjective); // Once per second
 }
 
 
 // --- Animation Loop ---
 function animate() {
     requestAnimationFrame(animate);
-    let deltaTime = 0;
-    if (clock) { deltaTime = Math.min(clock.getDelta(), 0.05); }
+    let frameTime = 0;
+    if (clock) { frameTime = Math.min(clock.getDelta(), Constants.PHYSICS_TIMESTEP * Constants.MAX_PHYSICS_STEPS_PER_FRAME); }
     else { console.error("Clock not initialized!"); return; }
 
     try {
         if (player) {
-            // Pass spawn point to update function
-            player.update(deltaTime, worldObjects, currentSpawnPoint);
+            updateGamepadInput(frameTime);
+            updateTouchInput();
         }
 
-        const activeNPCsData = getActiveNPCsData();
-        if (activeNPCsData && activeNPCsData.length > 0) {
-             updateAllNPCs(deltaTime, worldObjects, player ? player.getPosition() : null, getCurrentUniverseType() === 'main' ? Constants.MAIN_UNIVERSE_RADIUS : Constants.UNIVERSE_RADIUS); // Pass radius
+        // Fixed-step simulation: jump height, friction and NPC movement don't depend on frame rate
+        physicsAccumulator += frameTime;
+        restoreSimulatedPositions();
+        while (physicsAccumulator >= Constants.PHYSICS_TIMESTEP) {
+            stepSimulation(Constants.PHYSICS_TIMESTEP);
+            physicsAccumulator -= Constants.PHYSICS_TIMESTEP;
+        }
+        applyInterpolation(physicsAccumulator / Constants.PHYSICS_TIMESTEP);
+        if (player) {
+            player.updateCamera(frameTime, worldObjects);
+            player.updateSwingRope();
+            UI.updateAbilityDisplay(player.getAbilityStatus());
+            UI.updateStaminaDisplay(player.stamina, player.maxStamina, player.staminaExhausted);
         }
 
         const activeClues = getActiveClueMeshes();
         if (activeClues && activeClues.length > 0) {
             activeClues.forEach(c => {
                 if (c && c.rotation) {
-                    c.rotation.y += 0.8 * deltaTime;
+                    c.rotation.y += 0.8 * frameTime;
                 }
             });
         }
 
+        const stabilizer = getActiveStabilizer();
+        if (stabilizer?.parent) stabilizer.rotation.y += 1.5 * frameTime;
+
         const activePortals = getActivePortals();
         if (activePortals && activePortals.length > 0) {
-            updatePortals(activePortals, deltaTime);
+            updatePortals(activePortals, frameTime);
         }
 
+        if (currentObjective) updateCurrentObjective(frameTime);
+
     } catch (error) { console.error("Error during game update loop:", error); }
 
     if (renderer && scene && camera) {
@@ -338,6 +503,22 @@ function animate() {
     } else { console.error("Renderer, Scene, or Camera not initialized for rendering!"); }
 }
 
+// One simulation step: everything that moves things physically or reacts to positions
+function stepSimulation(deltaTime) {
+    recordPreviousPositions();
+    updateMovingPlatforms(deltaTime); // First, so the player rides this step's motion
+    if (player) {
+        player.update(deltaTime, worldObjects);
+        updateTriggers(player, deltaTime, triggerHandlers);
+        updateHazards(deltaTime, player, { onPlayerDeath: respawnPlayer });
+    }
+
+    const activeNPCsData = getActiveNPCsData();
+    if (activeNPCsData && activeNPCsData.length > 0) {
+         updateAllNPCs(deltaTime, worldObjects, player ? player.getPosition() : null, getCurrentUniverseType() === 'main' ? Constants.MAIN_UNIVERSE_RADIUS : Constants.UNIVERSE_RADIUS); // Pass radius
+    }
+}
+
 // --- Start ---
 try {
      init().catch(err => {
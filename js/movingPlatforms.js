@@ -0,0 +1,150 @@
+import * as THREE from 'three';
+import { updateSpatialEntry } from './spatialIndex.js';
+import { trackInterpolation, untrackInterpolation } from './interpolation.js';
+
+// Kinematic platforms: world objects driven along a scripted path every simulation step,
+// before the player moves (see stepSimulation in main.js). The player rides whatever it
+// stands on using the platform's displacement and turn over the last step, and keeps the
+// platform's velocity when it jumps or walks off (Player.rideMovingPlatform). Generators
+// (platformGenerator.js, gridFloor.js) create them; universeManager clears them.
+//
+// Motion fields:
+//   type       'linear' - back and forth between `from` and `to`, eased at both ends
+//                         (elevators are vertical ones)
+//              'orbit'  - circles `center` at `radius`, at the height of `center`
+//   travelTime (linear) seconds for one crossing
+//   pause      (linear) seconds spent waiting at each end
+//   period     (orbit) seconds per revolution (negative = clockwise seen from above)
+//   phase      (orbit) starting angle in radians
+//   spin       radians per second about the platform's own Y axis (any type)
+//   startTime  where in its cycle the platform starts, so neighbours don't move in lockstep
+//
+// userData.pathBoxes covers the platform at sampled points of its whole cycle, so placement
+// code can keep scenery, clues and NPCs out of its way (isInMovingPlatformPath).
+
+const PATH_SAMPLES = 24;
+
+let platforms = [];
+
+const previousPosition = new THREE.Vector3();
+const riderOffset = new THREE.Vector3();
+const yAxis = new THREE.Vector3(0, 1, 0);
+
+// Seconds before the platform is back where it started (Infinity for a fixed, spin-only one)
+function getCycleLength(motion) {
+    if (motion.type === 'linear') return 2 * (motion.travelTime + (motion.pause ?? 0));
+    if (motion.type === 'orbit') return Math.abs(motion.period);
+    return motion.spin ? (Math.PI * 2) / Math.abs(motion.spin) : Infinity;
+}
+
+// Smooth start and stop, so riders aren't jolted at the ends
+function ease(t) {
+    return (1 - Math.cos(Math.PI * t)) / 2;
+}
+
+function setPose(platform, time) {
+    const { object, motion } = platform;
+    if (motion.type === 'linear') {
+        const pause = motion.pause ?? 0;
+        const travel = motion.travelTime;
+        const t = THREE.MathUtils.euclideanModulo(time, 2 * (travel + pause));
+        let progress;
+        if (t < pause) progress = 0;
+        else if (t < pause + travel) progress = ease((t - pause) / travel);
+        else if (t < 2 * pause + travel) progress = 1;
+        else progress = 1 - ease((t - 2 * pause - travel) / travel);
+        object.position.lerpVectors(motion.from, motion.to, progress);
+    } else if (motion.type === 'orbit') {
+        const angle = (motion.phase ?? 0) + (Math.PI * 2 * time) / motion.period;
+        object.position.set(
+            motion.center.x + Math.cos(angle) * motion.radius,
+            motion.center.y,
+            motion.center.z + Math.sin(angle) * motion.radius
+        );
+    }
+    if (motion.spin) object.quaternion.setFromAxisAngle(yAxis, motion.spin * time).multiply(platform.baseQuaternion);
+    object.updateMatrixWorld(true);
+}
+
+// Boxes around the platform at evenly spaced times over one cycle
+function computePathBoxes(platform) {
+    const cycle = getCycleLength(platform.motion);
+    const samples = Number.isFinite(cycle) ? PATH_SAMPLES : 1;
+    const boxes = [];
+    for (let i = 0; i < samples; i++) {
+        setPose(platform, Number.isFinite(cycle) ? (cycle * i) / samples : 0);
+        boxes.push(new THREE.Box3().setFromObject(platform.object));
+    }
+    return boxes;
+}
+
+function isValidMotion(motion) {
+    if (motion.type === 'linear') return !!(motion.from && motion.to && motion.travelTime > 0);
+    if (motion.type === 'orbit') return !!(motion.center && motion.radius > 0 && motion.period);
+    return !!motion.spin; // Turning on the spot
+}
+
+export function registerMovingPlatform(object, motion) {
+    if (!isValidMotion(motion)) {
+        console.error("Invalid moving platform motion:", motion);
+        return null;
+    }
+    const platform = { object, motion, baseQuaternion: object.quaternion.clone(), time: motion.startTime ?? 0 };
+    Object.assign(object.userData, {
+        isMovingPlatform: true,
+        pathBoxes: computePathBoxes(platform),
+        platformVelocity: new THREE.Vector3(), // Over the last step
+        platformStepDelta: new THREE.Vector3(),
+        platformStepYaw: 0,
+    });
+    if (!object.userData.boundingBox) object.userData.boundingBox = new THREE.Box3();
+
+    setPose(platform, platform.time);
+    object.userData.boundingBox.setFromObject(object);
+    updateSpatialEntry(object);
+    trackInterpolation(object);
+    platforms.push(platform);
+    return platform;
+}
+
+export function clearMovingPlatforms() {
+    platforms.forEach(platform => untrackInterpolation(platform.object));
+    platforms = [];
+}
+
+// Once per simulation step, before anything that stands on or collides with the platforms
+export function updateMovingPlatforms(deltaTime) {
+    if (deltaTime <= 0) return;
+    for (const platform of platforms) {
+        const { object } = platform;
+        const data = object.userData;
+        previousPosition.copy(object.position);
+
+        platform.time += deltaTime;
+        setPose(platform, platform.time);
+
+        data.platformStepDelta.subVectors(object.position, previousPosition);
+        data.platformStepYaw = (platform.motion.spin ?? 0) * deltaTime;
+        data.platformVelocity.copy(data.platformStepDelta).divideScalar(deltaTime);
+        data.boundingBox.setFromObject(object);
+        updateSpatialEntry(object);
+    }
+}
+
+// How far a point resting on the platform was carried by its last step (turn included)
+export function getPlatformCarry(object, point, target) {
+    const { platformStepDelta, platformStepYaw } = object.userData;
+    // Offset from where the platform was before the step, turned with it
+    riderOffset.copy(point).sub(object.position).add(platformStepDelta);
+    if (platformStepYaw !== 0) riderOffset.applyAxisAngle(yAxis, platformStepYaw);
+    return target.copy(object.position).add(riderOffset).sub(point);
+}
+
+// True if `box` is anywhere a moving platform passes through (other than `selfObject`)
+export function isInMovingPlatformPath(box, selfObject = null) {
+    for (const { object } of platforms) {
+        if (object === selfObject) continue;
+        if (object.userData.pathBoxes.some(pathBox => pathBox.intersectsBox(box))) return true;
+    }
+    return false;
+}
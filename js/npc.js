@@ -1,21 +1,27 @@
 import * as THREE from 'three';
-import { placeObjectRandomly, isSpawnAreaClear, findGroundHeight } from './utils.js';
+import { placeObjectRandomly, isSpawnAreaClear, findGroundHeight, addWorldObject, decayForStep, blendForStep } from './utils.js';
 import * as Constants from './constants.js';
+import * as Random from './random.js';
+import { getNearbyObjects, updateSpatialEntry } from './spatialIndex.js';
+import { trackInterpolation, untrackInterpolation, snapInterpolation } from './interpolation.js';
+
+// Behaviours updateAllNPCs understands (biome npcSpawnRules.types are validated against this)
+export const NPC_BEHAVIORS = ['wanderer', 'wanderer_fly', 'guard', 'hint', 'hazard_dropper'];
 
 let activeNPCs = []; // List of NPC objects { mesh, behavior, state, ... }
 
 // Function to create the mesh for an NPC based on type
 function createNPCMesh(size, biomeType = 'DEFAULT') {
     let npcGeo;
-    const type = Math.random();
+    const type = Random.random();
     if (type < 0.33) npcGeo = new THREE.BoxGeometry(size, size, size);
     else if (type < 0.66) npcGeo = new THREE.SphereGeometry(size * 0.6, 16, 8);
     else npcGeo = new THREE.ConeGeometry(size * 0.5, size, 8);
 
     const npcMat = new THREE.MeshStandardMaterial({
-        color: new THREE.Color().setHSL(Math.random(), 0.7, 0.5),
-        roughness: Math.random() * 0.5 + 0.3,
-        metalness: Math.random() * 0.2,
+        color: new THREE.Color().setHSL(Random.random(), 0.7, 0.5),
+        roughness: Random.random() * 0.5 + 0.3,
+        metalness: Random.random() * 0.2,
     });
     const npcMesh = new THREE.Mesh(npcGeo, npcMat);
     npcMesh.castShadow = true;
@@ -27,16 +33,16 @@ function createNPCMesh(size, biomeType = 'DEFAULT') {
 
 // Spawn NPCs for a universe
 export function spawnNPCs(scene, rules, universeRadius, worldObjectsForCheck) {
-    activeNPCs = []; // Clear previous NPCs
+    clearNPCs();
     const { types = ['wanderer'], maxCount = 3, speedMultiplier = 1.0 } = rules;
-    const numToSpawn = Math.min(maxCount, Math.floor(Math.random() * (maxCount + 1)));
+    const numToSpawn = Math.min(maxCount, Math.floor(Random.random() * (maxCount + 1)));
 
     for (let i = 0; i < numToSpawn; i++) {
-        const npcSize = THREE.MathUtils.randFloat(0.6, 1.6);
+        const npcSize = Random.randFloat(0.6, 1.6);
         const npcMesh = createNPCMesh(npcSize);
-        const behavior = types[Math.floor(Math.random() * types.length)];
+        const behavior = types[Math.floor(Random.random() * types.length)];
         const canFly = behavior.includes('_fly');
-        const startY = canFly ? THREE.MathUtils.randFloat(npcSize * 2, 8.0) : npcSize / 2;
+        const startY = canFly ? Random.randFloat(npcSize * 2, 8.0) : npcSize / 2;
         const placementRadius = universeRadius * 0.8;
 
         placeObjectRandomly(npcMesh, startY, placementRadius, worldObjectsForCheck, 1.5);
@@ -53,9 +59,10 @@ export function spawnNPCs(scene, rules, universeRadius, worldObjectsForCheck) {
                 hazardCooldown: 0,
                 stuckTimer: 0, // --- NEW: Timer to check if stuck ---
                 lastPosition: npcMesh.position.clone(), // --- NEW: Track last position ---
+                spawnPosition: npcMesh.position.clone(), // Fallback if it wanders off a ledge into the void
             },
             velocity: new THREE.Vector3(),
-            speed: Constants.PLAYER_BASE_SPEED * 0.5 * speedMultiplier * THREE.MathUtils.randFloat(0.8, 1.2),
+            speed: Constants.PLAYER_BASE_SPEED * 0.5 * speedMultiplier * Random.randFloat(0.8, 1.2),
             canFly: canFly,
             gravity: Constants.BASE_GRAVITY * (canFly ? 0 : 0.8),
             onGround: !canFly,
@@ -70,13 +77,20 @@ export function spawnNPCs(scene, rules, universeRadius, worldObjectsForCheck) {
 
         scene.add(npcMesh);
         activeNPCs.push(npcData);
-        worldObjectsForCheck.push(npcMesh);
+        addWorldObject(worldObjectsForCheck, npcMesh);
+        trackInterpolation(npcMesh);
     }
     console.log(`Spawned ${activeNPCs.length} NPCs.`);
     return activeNPCs;
 }
 
-// Update all active NPCs
+// Forget the NPCs of the previous universe (their meshes go with the scene clear)
+export function clearNPCs() {
+    activeNPCs.forEach(npc => untrackInterpolation(npc.mesh));
+    activeNPCs = [];
+}
+
+// Update all active NPCs (one fixed simulation step)
 export function updateAllNPCs(deltaTime, worldObjects, playerPosition, universeRadius) {
     activeNPCs.forEach(npc => {
         updateNPC(npc, deltaTime, worldObjects, playerPosition, universeRadius);
@@ -107,8 +121,8 @@ function updateNPC(npc, deltaTime, worldObjects, playerPosition, universeRadius)
             setNewNPCTarget(npc, universeRadius);
             state.stuckTimer = 0;
             // Give a small random nudge
-            velocity.x += (Math.random() - 0.5) * speed * 0.2;
-            velocity.z += (Math.random() - 0.5) * speed * 0.2;
+            velocity.x += (Random.random() - 0.5) * speed * 0.2;
+            velocity.z += (Random.random() - 0.5) * speed * 0.2;
         }
     } else {
          state.stuckTimer = 0; // Don't check if waiting or static
@@ -147,6 +161,7 @@ function updateNPC(npc, deltaTime, worldObjects, playerPosition, universeRadius)
     // --- Update BBox ---
     if (mesh.position.distanceToSquared(state.lastPosition) > 0.00001) { // Only update if actually moved
         mesh.userData.boundingBox.setFromObject(mesh);
+        updateSpatialEntry(mesh);
     }
 }
 
@@ -162,8 +177,9 @@ function handleWanderBehavior(npc, deltaTime, universeRadius) {
              state.stuckTimer = 0; // Reset stuck timer
              state.lastPosition.copy(mesh.position); // Update pos before move
         } else {
-             velocity.x *= 0.9; // Apply friction
-             velocity.z *= 0.9;
+             const friction = decayForStep(0.9, deltaTime); // Apply friction
+             velocity.x *= friction;
+             velocity.z *= friction;
             return;
         }
     }
@@ -174,21 +190,24 @@ function handleWanderBehavior(npc, deltaTime, universeRadius) {
 
         if (distanceToTargetSq < 1.5) {
             state.isWaiting = true;
-            state.waitTimer = THREE.MathUtils.randFloat(1.5, 5.0);
+            state.waitTimer = Random.randFloat(1.5, 5.0);
         } else {
             direction.normalize();
             const targetVelX = direction.x * speed;
             const targetVelZ = direction.z * speed;
-            velocity.x += (targetVelX - velocity.x) * 0.1;
-            velocity.z += (targetVelZ - velocity.z) * 0.1;
+            const steering = blendForStep(0.1, deltaTime);
+            velocity.x += (targetVelX - velocity.x) * steering;
+            velocity.z += (targetVelZ - velocity.z) * steering;
             if (canFly) {
                 const targetVelY = direction.y * speed * 0.5;
-                velocity.y += (targetVelY - velocity.y) * 0.05;
+                velocity.y += (targetVelY - velocity.y) * blendForStep(0.05, deltaTime);
             }
         }
     }
 }
 
+const nearbyScratch = []; // Reused broadphase result
+
 function applyNPCPhysicsAndCollision(npc, deltaTime, worldObjects) {
     const { mesh, velocity, canFly, state } = npc;
     if (deltaTime <= 0) return;
@@ -204,9 +223,9 @@ function applyNPCPhysicsAndCollision(npc, deltaTime, worldObjects) {
     if (!canFly) {
         const npcHeight = mesh.geometry?.parameters?.height || (mesh.geometry?.parameters?.radius * 1.2) || 0.5;
         const npcBottomY = potentialPos.y - npcHeight / 2;
-        const groundY = 0; // TODO: findGroundHeight if needed
+        const groundY = findGroundHeight(potentialPos, worldObjects); // Terrain, tiles or islands (null over pits)
 
-        if (npcBottomY <= groundY && velocity.y <= 0) {
+        if (groundY !== null && npcBottomY <= groundY && velocity.y <= 0) {
             const correctionY = groundY - npcBottomY;
             potentialPos.y += correctionY;
             correctedDelta.y += correctionY;
@@ -214,6 +233,15 @@ function applyNPCPhysicsAndCollision(npc, deltaTime, worldObjects) {
             npcOnGround = true;
             npc.onGround = true;
         } else { npc.onGround = false; }
+
+        if (potentialPos.y < Constants.RESPAWN_Y_THRESHOLD) {
+            mesh.position.copy(state.spawnPosition);
+            snapInterpolation(mesh);
+            velocity.set(0, 0, 0);
+            mesh.userData.boundingBox.setFromObject(mesh);
+            updateSpatialEntry(mesh);
+            return;
+        }
     }
 
     // 2. Boundary Collision
@@ -233,9 +261,10 @@ function applyNPCPhysicsAndCollision(npc, deltaTime, worldObjects) {
     // Disable NPC vs NPC collision for performance. Only check scenery/portals.
     const npcColliderFuture = mesh.userData.boundingBox.clone().translate(correctedDelta);
     let collisionDetected = false;
-    for (const obj of worldObjects) {
-        // Skip self, ground, player, other NPCs, or objects without bbox
-        if (obj === mesh || obj.userData.isGround || obj.userData.isPlayer || obj.userData.isNPC || !obj.userData.boundingBox) continue;
+    nearbyScratch.length = 0;
+    for (const obj of getNearbyObjects(worldObjects, npcColliderFuture, nearbyScratch)) {
+        // Skip self, static ground (moving platforms are obstacles), player, other NPCs, or objects without bbox
+        if (obj === mesh || (obj.userData.isGround && !obj.userData.isMovingPlatform) || obj.userData.isPlayer || obj.userData.isNPC || !obj.userData.boundingBox) continue;
 
         if (npcColliderFuture.intersectsBox(obj.userData.boundingBox)) {
              collisionDetected = true;
@@ -264,17 +293,17 @@ function applyNPCPhysicsAndCollision(npc, deltaTime, worldObjects) {
 function setNewNPCTarget(npc, universeRadius) {
     const { mesh, state, canFly } = npc;
     const wanderRadius = universeRadius * (canFly ? 0.9 : 0.8);
-    const angle = Math.random() * Math.PI * 2;
-    const targetRadius = Math.random() * wanderRadius;
-    const targetY = canFly ? THREE.MathUtils.randFloat(1.0, 10.0) : mesh.position.y;
+    const angle = Random.random() * Math.PI * 2;
+    const targetRadius = Random.random() * wanderRadius;
+    const targetY = canFly ? Random.randFloat(1.0, 10.0) : mesh.position.y;
 
     const potentialTarget = new THREE.Vector3(
          Math.cos(angle) * targetRadius, targetY, Math.sin(angle) * targetRadius );
 
     const dirAway = potentialTarget.clone().sub(mesh.position);
     if (dirAway.lengthSq() < 9) { // If target is within 3 units, pick further
-         const angleAway = Math.atan2(mesh.position.z, mesh.position.x) + Math.PI + (Math.random() - 0.5);
-         const radiusAway = wanderRadius * THREE.MathUtils.randFloat(0.7, 1.0);
+         const angleAway = Math.atan2(mesh.position.z, mesh.position.x) + Math.PI + (Random.random() - 0.5);
+         const radiusAway = wanderRadius * Random.randFloat(0.7, 1.0);
          potentialTarget.set( Math.cos(angleAway) * radiusAway, targetY, Math.sin(angleAway) * radiusAway );
     }
 
@@ -284,7 +313,7 @@ function setNewNPCTarget(npc, universeRadius) {
 
 function getRandomHint() {
     const hints = [ "A path blocked may hide another.", "Look up, look down, look around.", "Some walls are illusions.", "Green leads onward, Red leads back.", "Even static has patterns." ];
-    return hints[Math.floor(Math.random() * hints.length)];
+    return hints[Math.floor(Random.random() * hints.length)];
 }
 
 // Get the list of active NPC data objects
@@ -0,0 +1,125 @@
+import * as THREE from 'three';
+import * as Audio from '../audio.js';
+import * as UI from '../ui.js';
+import { placeObjectRandomly, addWorldObject } from '../utils.js';
+import { removeAllObjectiveItems } from './objectiveUtils.js';
+
+// Activate N terminals in numbered order. Terminals stay in the world and light up
+// when activated; activating one out of sequence resets the whole chain.
+
+const SCREEN_IDLE_COLOR = 0x0066ff;
+const SCREEN_NEXT_COLOR = 0xffcc00;
+const SCREEN_ACTIVE_COLOR = 0x00ff66;
+const TERMINAL_HEIGHT = 1.4;
+
+// Screen texture showing the terminal's position in the sequence
+function createScreenTexture(label) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 64; canvas.height = 64;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#000000'; ctx.fillRect(0, 0, 64, 64);
+    ctx.fillStyle = '#ffffff'; ctx.font = 'bold 44px sans-serif';
+    ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+    ctx.fillText(label, 32, 34);
+    return new THREE.CanvasTexture(canvas);
+}
+
+function createTerminalMesh(sequenceIndex) {
+    const body = new THREE.Mesh(
+        new THREE.BoxGeometry(0.8, TERMINAL_HEIGHT, 0.5),
+        new THREE.MeshStandardMaterial({ color: 0x2a3340, metalness: 0.7, roughness: 0.4 })
+    );
+    body.castShadow = true;
+
+    const screenTexture = createScreenTexture(String(sequenceIndex + 1));
+    const screen = new THREE.Mesh(
+        new THREE.PlaneGeometry(0.6, 0.45),
+        new THREE.MeshStandardMaterial({ color: 0xffffff, map: screenTexture, emissive: SCREEN_IDLE_COLOR, emissiveMap: screenTexture, emissiveIntensity: 0.8 })
+    );
+    screen.position.set(0, TERMINAL_HEIGHT * 0.25, 0.26); // Front face, upper half
+    body.add(screen);
+
+    body.userData = {
+        isObjectiveItem: true,
+        objectiveType: 'activate_terminals',
+        sequenceIndex,
+        isActivated: false,
+        screen,
+        boundingBox: new THREE.Box3(),
+    };
+    body.userData.boundingBox.setFromObject(body);
+    return body;
+}
+
+function setTerminalState(terminal, activated) {
+    terminal.userData.isActivated = activated;
+    const material = terminal.userData.screen.material;
+    material.emissive.setHex(activated ? SCREEN_ACTIVE_COLOR : SCREEN_IDLE_COLOR);
+    material.emissiveIntensity = activated ? 2.0 : 0.8;
+}
+
+export const activateTerminalsObjective = {
+    type: 'activate_terminals',
+
+    setup({ scene, worldObjectsRef, universeRadius }, config) {
+        const count = config.terminalCount || 3;
+        const objective = { text: `Activate ${count} Terminals in Order`, required: count, current: 0, items: [], pulseTime: 0 };
+        for (let i = 0; i < count; i++) {
+            const terminal = createTerminalMesh(i);
+            placeObjectRandomly(terminal, TERMINAL_HEIGHT / 2, universeRadius * 0.85, worldObjectsRef, 1.5); // Snaps to the ground
+            scene.add(terminal); addWorldObject(worldObjectsRef, terminal); objective.items.push(terminal);
+        }
+        return objective;
+    },
+
+    // Pulse the screen of the terminal that is next in the sequence
+    update(objective, deltaTime) {
+        objective.pulseTime += deltaTime;
+        const pulse = 0.5 + 0.5 * Math.sin(objective.pulseTime * 6);
+        objective.items.forEach(terminal => {
+            if (terminal.userData.isActivated) return;
+            const material = terminal.userData.screen.material;
+            if (terminal.userData.sequenceIndex === objective.current) {
+                material.emissive.setHex(SCREEN_NEXT_COLOR);
+                material.emissiveIntensity = 0.8 + pulse * 1.5;
+            } else {
+                material.emissive.setHex(SCREEN_IDLE_COLOR);
+                material.emissiveIntensity = 0.8;
+            }
+        });
+    },
+
+    interact(objective, terminal) {
+        if (terminal.userData.isActivated) {
+            UI.displayTemporaryMessage(`Terminal ${terminal.userData.sequenceIndex + 1} already online.`, 1500);
+            return true;
+        }
+
+        if (terminal.userData.sequenceIndex !== objective.current) {
+            // Out of order: everything goes dark again
+            Audio.playErrorSound();
+            UI.displayTemporaryMessage("Sequence error! Terminals reset.", 2000);
+            objective.items.forEach(t => setTerminalState(t, false));
+            objective.current = 0;
+            return true;
+        }
+
+        setTerminalState(terminal, true);
+        objective.current++;
+        Audio.playSound('collect_clue', 0.6, 300);
+        return true;
+    },
+
+    // Terminals before the current step were already online when the player left
+    restoreProgress(objective) {
+        objective.items.forEach(terminal => setTerminalState(terminal, terminal.userData.sequenceIndex < objective.current));
+    },
+
+    isComplete(objective) {
+        return objective.current >= objective.required;
+    },
+
+    cleanup(objective, context) {
+        removeAllObjectiveItems(objective, context);
+    },
+};
@@ -0,0 +1,42 @@
+import * as THREE from 'three';
+import * as Audio from '../audio.js';
+import * as Random from '../random.js';
+import { placeObjectRandomly, addWorldObject } from '../utils.js';
+import { removeObjectiveItem, removeAllObjectiveItems } from './objectiveUtils.js';
+
+// Collect N energy shards scattered around the universe
+export const collectShardsObjective = {
+    type: 'collect_shards',
+
+    setup({ scene, worldObjectsRef, universeRadius }, config) {
+        const count = config.shardCount || 3;
+        const objective = { text: `Collect ${count} Energy Shards`, required: count, current: 0, items: [] };
+        for (let i = 0; i < count; i++) {
+            const shardGeo = new THREE.TetrahedronGeometry(0.3); const shardMat = new THREE.MeshStandardMaterial({ color: 0x00ffff, emissive: 0x55ffff, emissiveIntensity: 1.5 }); const shardMesh = new THREE.Mesh(shardGeo, shardMat);
+            shardMesh.userData = { isObjectiveItem: true, objectiveType: 'collect_shards', boundingBox: new THREE.Box3().setFromObject(shardMesh) };
+            const yPos = Random.randFloat(0.8, 2.5);
+            placeObjectRandomly(shardMesh, yPos, universeRadius * 0.9, worldObjectsRef, 1.0);
+            scene.add(shardMesh); addWorldObject(worldObjectsRef, shardMesh); objective.items.push(shardMesh);
+        }
+        return objective;
+    },
+
+    update(objective, deltaTime) {
+        objective.items.forEach(shard => { shard.rotation.y += 1.5 * deltaTime; });
+    },
+
+    interact(objective, itemMesh, context) {
+        objective.current++;
+        Audio.playSound('collect_clue', 0.6);
+        removeObjectiveItem(objective, itemMesh, context);
+        return true;
+    },
+
+    isComplete(objective) {
+        return objective.current >= objective.required;
+    },
+
+    cleanup(objective, context) {
+        removeAllObjectiveItems(objective, context);
+    },
+};
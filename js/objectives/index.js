@@ -0,0 +1,144 @@
+import * as Constants from '../constants.js';
+import { updateSpatialEntry } from '../spatialIndex.js';
+import { removeObjectiveItem, removeAllObjectiveItems } from './objectiveUtils.js';
+import { collectShardsObjective } from './collectShards.js';
+import { reachBeaconObjective } from './reachBeacon.js';
+import { activateTerminalsObjective } from './activateTerminals.js';
+
+// Objective registry: each mini-objective type is a module implementing
+//   setup(context, config)               -> objective object (or null)
+//   update(objective, deltaTime, context) (optional, per frame)
+//   interact(objective, itemMesh, context) -> true if the interaction was handled
+//   isComplete(objective)
+//   cleanup(objective, context)          (optional, removes anything left in the world)
+//   restoreProgress(objective)           (optional, re-applies type-specific state after restoreObjectiveState)
+// context = { scene, worldObjectsRef, universeRadius, platformLayout, physics, abilities }
+//
+// Any objective can be timed (config.timeLimit, rolled against config.timedChance): the
+// registry owns the countdown so individual types don't need to know about it.
+
+const objectiveTypes = {};
+
+export function registerObjectiveType(definition) {
+    if (!definition || !definition.type || typeof definition.setup !== 'function' || typeof definition.interact !== 'function') {
+        console.error("Invalid objective type definition:", definition);
+        return;
+    }
+    if (objectiveTypes[definition.type]) console.warn(`Objective type '${definition.type}' re-registered.`);
+    objectiveTypes[definition.type] = definition;
+}
+
+export function getObjectiveType(type) {
+    return objectiveTypes[type] || null;
+}
+
+export function getRegisteredObjectiveTypes() {
+    return Object.keys(objectiveTypes);
+}
+
+export function setupObjective(type, context, config = {}) {
+    const definition = getObjectiveType(type);
+    if (!definition) {
+        console.warn("Unknown objective type in config:", type);
+        return null;
+    }
+    try {
+        const objective = definition.setup(context, config);
+        if (objective) {
+            objective.type = type;
+            objective.items = objective.items || [];
+            objective.items.forEach((item, index) => { item.userData.itemIndex = index; }); // Stable ids for snapshots
+            console.log("Mini-objective created:", objective.type);
+        }
+        return objective;
+    } catch (error) {
+        console.error(`Error setting up objective '${type}':`, error);
+        return null;
+    }
+}
+
+// Attach a countdown to an objective (seconds)
+export function startObjectiveTimer(objective, timeLimit) {
+    if (!objective || !(timeLimit > 0)) return;
+    objective.timeLimit = timeLimit;
+    objective.timeRemaining = timeLimit;
+}
+
+export function isObjectiveTimed(objective) {
+    return objective?.timeLimit > 0;
+}
+
+export function hasObjectiveTimedOut(objective) {
+    return isObjectiveTimed(objective) && objective.timeRemaining <= 0;
+}
+
+export function updateObjective(objective, deltaTime, context) {
+    const definition = objective && getObjectiveType(objective.type);
+    if (!definition) return;
+    if (isObjectiveTimed(objective)) objective.timeRemaining = Math.max(0, objective.timeRemaining - deltaTime);
+    if (definition.update) definition.update(objective, deltaTime, context);
+}
+
+// Clue points for completing: 1, plus up to TIMED_OBJECTIVE_MAX_BONUS scaled by the time left
+export function getObjectiveReward(objective) {
+    if (!isObjectiveTimed(objective)) return 1;
+    const timeFraction = objective.timeRemaining / objective.timeLimit;
+    return 1 + Math.round(timeFraction * Constants.TIMED_OBJECTIVE_MAX_BONUS);
+}
+
+export function interactWithObjectiveItem(objective, itemMesh, context) {
+    const definition = objective && getObjectiveType(objective.type);
+    if (!definition || itemMesh?.userData?.objectiveType !== objective.type) return false;
+    return definition.interact(objective, itemMesh, context) === true;
+}
+
+export function isObjectiveComplete(objective) {
+    const definition = objective && getObjectiveType(objective.type);
+    if (!definition) return false;
+    return definition.isComplete ? definition.isComplete(objective) : objective.current >= objective.required;
+}
+
+export function cleanupObjective(objective, context) {
+    const definition = objective && getObjectiveType(objective.type);
+    if (definition?.cleanup) definition.cleanup(objective, context);
+    else removeAllObjectiveItems(objective, context);
+}
+
+// Progress that a regenerated objective (same seed) needs to match the one the player left
+export function captureObjectiveState(objective) {
+    if (!objective) return null;
+    return {
+        type: objective.type,
+        current: objective.current,
+        timeLimit: objective.timeLimit,
+        timeRemaining: objective.timeRemaining,
+        items: objective.items.map(item => ({ itemIndex: item.userData.itemIndex, position: item.position.toArray() })),
+    };
+}
+
+export function restoreObjectiveState(objective, state, context) {
+    if (!objective || !state) return;
+    if (objective.type !== state.type) {
+        console.warn(`Saved objective '${state.type}' doesn't match regenerated '${objective.type}', keeping the fresh one.`);
+        return;
+    }
+    const savedItems = new Map(state.items.map(item => [item.itemIndex, item]));
+    [...objective.items].forEach(item => {
+        const saved = savedItems.get(item.userData.itemIndex);
+        if (!saved) { removeObjectiveItem(objective, item, context); return; } // Already collected
+        item.position.fromArray(saved.position);
+        item.userData.boundingBox?.setFromObject(item);
+        updateSpatialEntry(item);
+    });
+    objective.current = state.current;
+    if (state.timeLimit > 0) { objective.timeLimit = state.timeLimit; objective.timeRemaining = state.timeRemaining; }
+    else { delete objective.timeLimit; delete objective.timeRemaining; }
+
+    const definition = getObjectiveType(objective.type);
+    if (definition?.restoreProgress) definition.restoreProgress(objective);
+}
+
+// --- Built-in types ---
+registerObjectiveType(collectShardsObjective);
+registerObjectiveType(reachBeaconObjective);
+registerObjectiveType(activateTerminalsObjective);
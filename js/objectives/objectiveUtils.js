@@ -0,0 +1,18 @@
+import { removeWorldObject } from '../utils.js';
+import { removeTriggersForObject } from '../triggers.js';
+import { disposeObject3D } from '../disposal.js';
+
+// Helpers shared by objective modules
+
+// Take one item out of the scene, the world list and the objective
+export function removeObjectiveItem(objective, itemMesh, context) {
+    if (itemMesh.parent) itemMesh.parent.remove(itemMesh);
+    removeWorldObject(context.worldObjectsRef, itemMesh);
+    removeTriggersForObject(itemMesh);
+    objective.items = objective.items.filter(item => item !== itemMesh);
+    disposeObject3D(itemMesh);
+}
+
+export function removeAllObjectiveItems(objective, context) {
+    [...objective.items].forEach(item => removeObjectiveItem(objective, item, context));
+}
@@ -0,0 +1,81 @@
+import * as THREE from 'three';
+import * as Audio from '../audio.js';
+import { placeObjectRandomly, addWorldObject } from '../utils.js';
+import { getJumpApex, getJumpDistance } from '../abilities.js';
+import { addOutpostIsland } from '../platformGenerator.js';
+import { removeObjectiveItem, removeAllObjectiveItems } from './objectiveUtils.js';
+
+// Reach a beacon placed high up: on the summit island in platform universes (config.beaconHeight
+// sets how high the island chain climbs), config.beaconHeight above the ground elsewhere.
+// Touching the beacon completes it through its trigger zone; E still works too.
+// When the universe is generated for a player with movement abilities, the beacon also moves
+// out of plain jumping reach: onto a pedestal (double jump) or an outpost island across a
+// wide gap (dash/glide). A pedestal stands on the ground off the islands, and the beacon sits
+// just above its top, so the double jump is what gets the player there.
+const BEACON_TRIGGER_RADIUS = 1.5;
+const SUMMIT_HOVER = 1.0; // Beacon centre above the summit island
+const ABILITY_CHALLENGE_FRACTION = 0.5; // Where between plain and ability reach the challenge sits
+const PEDESTAL_WIDTH = 1.2;
+
+function addPedestal(scene, worldObjectsRef, x, groundY, z, height) {
+    const pedestal = new THREE.Mesh(
+        new THREE.BoxGeometry(PEDESTAL_WIDTH, height, PEDESTAL_WIDTH),
+        new THREE.MeshStandardMaterial({ color: 0x666677, roughness: 0.8 })
+    );
+    pedestal.position.set(x, groundY + height / 2, z);
+    pedestal.castShadow = true;
+    pedestal.receiveShadow = true;
+    pedestal.userData = { isGround: true, boundingBox: new THREE.Box3().setFromObject(pedestal) };
+    scene.add(pedestal);
+    addWorldObject(worldObjectsRef, pedestal);
+}
+
+export const reachBeaconObjective = {
+    type: 'reach_beacon',
+
+    setup({ scene, worldObjectsRef, universeRadius, platformLayout, physics = {}, abilities = [] }, config) {
+        const beaconHeight = config.beaconHeight || 10;
+        const onPedestal = abilities.includes('double_jump');
+        const hover = platformLayout || onPedestal ? SUMMIT_HOVER : beaconHeight; // Beacon centre above the surface below it
+        const objective = { text: `Reach the High Beacon`, required: 1, current: 0, items: [] };
+        const beaconGeo = new THREE.ConeGeometry(0.5, 2.0, 8); const beaconMat = new THREE.MeshStandardMaterial({ color: 0xffff00, emissive: 0xffff55, emissiveIntensity: 2.0 }); const beaconMesh = new THREE.Mesh(beaconGeo, beaconMat);
+        beaconMesh.userData = { isObjectiveItem: true, objectiveType: 'reach_beacon', triggerRadius: BEACON_TRIGGER_RADIUS, boundingBox: new THREE.Box3().setFromObject(beaconMesh) };
+        if (platformLayout) {
+            // Island chain was built to climb to beaconHeight: the beacon crowns the summit
+            let island = platformLayout.summitIsland;
+            if (abilities.includes('dash') || abilities.includes('glide')) {
+                const jumpGap = getJumpDistance(physics);
+                const gap = jumpGap + (getJumpDistance(physics, abilities) - jumpGap) * ABILITY_CHALLENGE_FRACTION;
+                island = addOutpostIsland(scene, worldObjectsRef, platformLayout, gap) || island;
+            }
+            beaconMesh.position.set(island.x, island.topY + hover, island.z);
+        } else {
+            placeObjectRandomly(beaconMesh, hover, universeRadius * 0.7, worldObjectsRef, 1.5);
+        }
+        if (onPedestal) {
+            const jumpApex = getJumpApex(physics);
+            const height = jumpApex + (getJumpApex(physics, abilities) - jumpApex) * ABILITY_CHALLENGE_FRACTION;
+            const groundY = beaconMesh.position.y - hover;
+            addPedestal(scene, worldObjectsRef, beaconMesh.position.x, groundY, beaconMesh.position.z, height);
+            beaconMesh.position.y += height;
+        }
+        beaconMesh.userData.boundingBox.setFromObject(beaconMesh);
+        scene.add(beaconMesh); addWorldObject(worldObjectsRef, beaconMesh); objective.items.push(beaconMesh);
+        return objective;
+    },
+
+    interact(objective, itemMesh, context) {
+        objective.current++;
+        Audio.playSound('collect_clue', 0.6);
+        removeObjectiveItem(objective, itemMesh, context);
+        return true;
+    },
+
+    isComplete(objective) {
+        return objective.current >= objective.required;
+    },
+
+    cleanup(objective, context) {
+        removeAllObjectiveItems(objective, context);
+    },
+};
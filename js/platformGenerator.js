@@ -0,0 +1,333 @@
+import * as THREE from 'three';
+import * as Constants from './constants.js';
+import * as Random from './random.js';
+import { addWorldObject } from './utils.js';
+import { createPrefab } from './prefabs.js';
+import { registerMovingPlatform } from './movingPlatforms.js';
+
+// Floating island layout for platform-based biomes (FLOATING_ISLANDS).
+// Builds a chain of islands from the spawn island up to the beacon height where every
+// hop is inside the player's jump envelope, so portals, clues and the beacon placed on
+// any island are reachable from spawn. With `swingGaps`, a few hops are wider than a jump
+// and get a vine_swing_point over the middle to swing across instead. With
+// `movingPlatforms`, a few hops are bridged by a ferry (too wide to jump) or a lift (too
+// tall to jump), and some extra islands orbit the centre, brushing past a chain island once
+// per lap. Moving platforms aren't placement surfaces: nothing is put on them.
+
+const SPAWN_ISLAND_RADIUS = 5.0;
+const ISLAND_THICKNESS = 1.2;
+const ISLAND_RADIUS_RANGE = [2.2, 3.6];
+const RISE_SAFETY = 0.6; // Fraction of the theoretical max rise actually used
+const GAP_SAFETY = 0.6; // Fraction of the theoretical max gap actually used
+const EXTRA_ISLANDS_RANGE = [3, 5]; // Islands beyond the summit (room for portals/clues)
+const ORBIT_RADIUS_RANGE = [10, 27]; // Keep the chain inside the universe boundary
+const MIN_ISLAND_SEPARATION = 1.5; // Horizontal clearance between non-adjacent islands
+const HEADING_ATTEMPTS = 16;
+const SWING_GAP_CHANCE = 0.3; // Chance for a hop to be a swing gap
+const MAX_SWING_GAPS = 2;
+// Edge-to-edge width of a swing gap. A pendulum's reach depends on its geometry rather than
+// on gravity, so this is fixed; tuned for a run-up, jump, grab and jump off at the far end.
+const SWING_GAP_RANGE = [5.0, 6.0];
+const SWING_ANCHOR_HEIGHT = 5.5; // Swing point height above the higher of the two islands
+const MOVING_GAP_CHANCE = 0.25; // Chance for a hop to be bridged by a moving platform
+const MAX_MOVING_GAPS = 2;
+const FERRY_GAP_RANGE = [6.0, 9.0]; // Edge-to-edge width of a ferry hop
+const FERRY_RADIUS = 1.4;
+const LIFT_RISE_RANGE = [1.6, 2.4]; // Climb of a lift hop, in multiples of the safe jump rise
+const LIFT_RADIUS = 1.2;
+const PLATFORM_THICKNESS = 0.5;
+const PLATFORM_EDGE_CLEARANCE = 0.3; // Gap between a ferry or lift at rest and its island
+const PLATFORM_SPEED = 2.0; // Average ferry/lift speed (m/s)
+const PLATFORM_PAUSE = 1.5; // Seconds a ferry or lift waits at each end
+const ORBITING_ISLAND_RANGE = [0, 2];
+const ORBIT_SPEED = 2.5; // Orbiting islands' speed along their ring (m/s)
+
+// Jump envelope for the given biome physics (mirrors Player.jump / Player.update)
+export function computeJumpReach(physics = {}) {
+    const gravity = Math.abs(Constants.BASE_GRAVITY * (physics.gravityMultiplier ?? 1.0));
+    const speed = Constants.PLAYER_BASE_SPEED * (physics.playerSpeedMultiplier ?? 1.0);
+    const apexHeight = (Constants.JUMP_VELOCITY ** 2) / (2 * gravity);
+
+    // Airtime until landing on a surface `rise` units higher than the take-off point.
+    // Horizontal speed carries over from the run-up (air control only steers).
+    const airTime = (rise) => {
+        const discriminant = Constants.JUMP_VELOCITY ** 2 - 2 * gravity * rise;
+        if (discriminant < 0) return 0;
+        return (Constants.JUMP_VELOCITY + Math.sqrt(discriminant)) / gravity;
+    };
+
+    const maxRise = apexHeight * RISE_SAFETY;
+    return {
+        apexHeight,
+        maxRise,
+        // Safe edge-to-edge gap when climbing by `rise` (negative rise = dropping down)
+        maxGapForRise: (rise) => speed * airTime(Math.max(rise, 0)) * GAP_SAFETY,
+    };
+}
+
+function createIslandMesh(radius, topY, material) {
+    const geometry = new THREE.CylinderGeometry(radius, radius * 0.55, ISLAND_THICKNESS, 10);
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.position.y = topY - ISLAND_THICKNESS / 2;
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    mesh.userData = { isGround: true, isIsland: true, boundingBox: new THREE.Box3() };
+    mesh.userData.boundingBox.setFromObject(mesh);
+    return mesh;
+}
+
+function overlapsExisting(x, z, radius, islands, ignoreIsland) {
+    for (const island of islands) {
+        if (island === ignoreIsland) continue;
+        const minDist = island.radius + radius + MIN_ISLAND_SEPARATION;
+        const dx = island.x - x;
+        const dz = island.z - z;
+        if (dx * dx + dz * dz < minDist * minDist) return true;
+    }
+    return false;
+}
+
+// Islands plus the ground moving platforms sweep through, for overlap checks
+function getObstacles(layout) {
+    return [...layout.islands, ...layout.platformFootprints];
+}
+
+// Pick the next island position: continue around the ring, nudged back into the orbit band
+function placeNextIsland(prev, radius, centerDistance, islands) {
+    const prevOrbit = Math.hypot(prev.x, prev.z);
+    const tangentAngle = Math.atan2(prev.z, prev.x) + Math.PI / 2;
+    let preferredHeading = tangentAngle;
+    if (prevOrbit < ORBIT_RADIUS_RANGE[0]) preferredHeading -= Math.PI / 4; // Bias outward
+    else if (prevOrbit > ORBIT_RADIUS_RANGE[1]) preferredHeading += Math.PI / 4; // Bias inward
+
+    let fallback = null;
+    for (let attempt = 0; attempt < HEADING_ATTEMPTS; attempt++) {
+        const spread = (attempt / HEADING_ATTEMPTS) * Math.PI;
+        const heading = preferredHeading + Random.randFloatSpread(spread * 2);
+        const x = prev.x + Math.cos(heading) * centerDistance;
+        const z = prev.z + Math.sin(heading) * centerDistance;
+        const orbit = Math.hypot(x, z);
+        if (orbit + radius > Constants.UNIVERSE_RADIUS * 0.9) continue;
+        if (!fallback) fallback = { x, z };
+        if (!overlapsExisting(x, z, radius, islands, prev)) return { x, z };
+    }
+    return fallback;
+}
+
+function addIslandToLayout(scene, worldObjectsRef, layout, x, z, radius, topY) {
+    const mesh = createIslandMesh(radius, topY, layout.material);
+    mesh.position.x = x;
+    mesh.position.z = z;
+    mesh.userData.boundingBox.setFromObject(mesh);
+    scene.add(mesh);
+    addWorldObject(worldObjectsRef, mesh);
+    const island = { mesh, x, z, radius, topY, index: layout.islands.length };
+    layout.islands.push(island);
+    return island;
+}
+
+// Swing point over the middle of the gap between two islands
+function addSwingPoint(scene, worldObjectsRef, layout, from, to) {
+    const distance = Math.hypot(to.x - from.x, to.z - from.z);
+    const t = (from.radius + (distance - from.radius - to.radius) / 2) / distance;
+    const swingPoint = createPrefab('vine_swing_point');
+    swingPoint.position.set(
+        from.x + (to.x - from.x) * t,
+        Math.max(from.topY, to.topY) + SWING_ANCHOR_HEIGHT,
+        from.z + (to.z - from.z) * t
+    );
+    swingPoint.userData.boundingBox.setFromObject(swingPoint);
+    scene.add(swingPoint);
+    addWorldObject(worldObjectsRef, swingPoint);
+    layout.swingPoints.push(swingPoint);
+    return swingPoint;
+}
+
+function getPlatformMaterial(layout) {
+    if (!layout.platformMaterial) {
+        layout.platformMaterial = new THREE.MeshStandardMaterial({ color: 0xb0c4de, metalness: 0.4, roughness: 0.5, emissive: 0x224466, emissiveIntensity: 0.6 });
+    }
+    return layout.platformMaterial;
+}
+
+// Adds a mesh as a moving platform and records the ground its path covers (one footprint
+// per sampled pose) so islands added later keep clear of it
+function addMovingPlatform(scene, worldObjectsRef, layout, mesh, motion, radius) {
+    scene.add(mesh);
+    addWorldObject(worldObjectsRef, mesh);
+    if (!registerMovingPlatform(mesh, motion)) return null;
+    mesh.userData.pathBoxes.forEach(box => {
+        layout.platformFootprints.push({ x: (box.min.x + box.max.x) / 2, z: (box.min.z + box.max.z) / 2, radius, topY: box.max.y });
+    });
+    layout.movingPlatforms.push(mesh);
+    return mesh;
+}
+
+// Ferry or lift for a hop: a platform shuttling from the edge of one island to the edge of
+// the next, its top level with each island's top at the ends (a lift goes straight up)
+function addHopPlatform(scene, worldObjectsRef, layout, from, to, radius) {
+    const distance = Math.hypot(to.x - from.x, to.z - from.z);
+    const dirX = (to.x - from.x) / distance;
+    const dirZ = (to.z - from.z) / distance;
+    const startDistance = from.radius + PLATFORM_EDGE_CLEARANCE + radius;
+    const endDistance = distance - to.radius - PLATFORM_EDGE_CLEARANCE - radius;
+    const start = new THREE.Vector3(from.x + dirX * startDistance, from.topY - PLATFORM_THICKNESS / 2, from.z + dirZ * startDistance);
+    const end = new THREE.Vector3(from.x + dirX * endDistance, to.topY - PLATFORM_THICKNESS / 2, from.z + dirZ * endDistance);
+    const travelTime = Math.max(start.distanceTo(end) / PLATFORM_SPEED, 1.0);
+
+    const mesh = new THREE.Mesh(new THREE.CylinderGeometry(radius, radius * 0.8, PLATFORM_THICKNESS, 12), getPlatformMaterial(layout));
+    mesh.position.copy(start);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    mesh.userData = { isGround: true, boundingBox: new THREE.Box3() };
+    return addMovingPlatform(scene, worldObjectsRef, layout, mesh, {
+        type: 'linear', from: start, to: end, travelTime, pause: PLATFORM_PAUSE,
+        startTime: Random.randFloat(0, 2 * (travelTime + PLATFORM_PAUSE)),
+    }, radius);
+}
+
+// Island circling the universe centre at the height of `host`, passing its edge once per lap
+// and turning with its orbit. Null if the ring would hit other islands or platforms.
+function addOrbitingIsland(scene, worldObjectsRef, layout, host) {
+    const radius = Random.randFloat(ISLAND_RADIUS_RANGE[0], ISLAND_RADIUS_RANGE[1]);
+    const side = Random.random() < 0.5 ? -1 : 1; // Pass inside or outside the host
+    const orbitRadius = Math.hypot(host.x, host.z) + side * (host.radius + PLATFORM_EDGE_CLEARANCE + radius);
+    if (orbitRadius - radius < 1.0 || orbitRadius + radius > Constants.UNIVERSE_RADIUS * 0.9) return null;
+
+    // Anything near this height (with room for the player standing on the island) must be off the ring
+    const blocked = getObstacles(layout).some(other => other !== host &&
+        Math.abs(other.topY - host.topY) < ISLAND_THICKNESS + Constants.PLAYER_HEIGHT + 0.5 &&
+        Math.abs(Math.hypot(other.x, other.z) - orbitRadius) < other.radius + radius + MIN_ISLAND_SEPARATION);
+    if (blocked) return null;
+
+    const period = ((Math.PI * 2 * orbitRadius) / ORBIT_SPEED) * (Random.random() < 0.5 ? -1 : 1);
+    const mesh = createIslandMesh(radius, host.topY, layout.material);
+    return addMovingPlatform(scene, worldObjectsRef, layout, mesh, {
+        type: 'orbit', center: new THREE.Vector3(0, mesh.position.y, 0), radius: orbitRadius, period,
+        phase: Random.random() * Math.PI * 2,
+        spin: -(Math.PI * 2) / period, // Same face towards the centre all the way round
+    }, radius);
+}
+
+// Generates the island chain, adds it to the scene/world and returns the layout
+export function generateFloatingIslands(scene, worldObjectsRef, options = {}) {
+    const { physics = {}, targetHeight = 10, groundTexture = null, groundColor = 0x888888, swingGaps = false, movingPlatforms = false } = options;
+    const reach = computeJumpReach(physics);
+    // Only worth it where swinging goes further than jumping (not in low gravity)
+    let swingGapsLeft = swingGaps && SWING_GAP_RANGE[0] > reach.maxGapForRise(0) / GAP_SAFETY ? MAX_SWING_GAPS : 0;
+    let movingGapsLeft = movingPlatforms ? MAX_MOVING_GAPS : 0;
+
+    const material = new THREE.MeshStandardMaterial({
+        color: groundTexture ? 0xffffff : groundColor,
+        map: groundTexture,
+        roughness: 0.9,
+    });
+    if (groundTexture) {
+        groundTexture.wrapS = groundTexture.wrapT = THREE.RepeatWrapping;
+        groundTexture.repeat.set(1, 1);
+        groundTexture.needsUpdate = true;
+    }
+
+    const layout = { islands: [], swingPoints: [], movingPlatforms: [], platformFootprints: [], material, reach };
+    const islands = layout.islands;
+    const addIsland = (x, z, radius, topY) => addIslandToLayout(scene, worldObjectsRef, layout, x, z, radius, topY);
+
+    // Spawn island sits at the origin with its top at y = 0 (same as flat ground)
+    const spawnIsland = addIsland(0, 0, SPAWN_ISLAND_RADIUS, 0);
+    let summitIsland = spawnIsland;
+
+    let prev = spawnIsland;
+    let extraIslandsLeft = Random.randInt(EXTRA_ISLANDS_RANGE[0], EXTRA_ISLANDS_RANGE[1]);
+    const maxIslands = Math.ceil(targetHeight / (reach.maxRise * 0.3)) + EXTRA_ISLANDS_RANGE[1] + swingGapsLeft + 1;
+
+    while (islands.length < maxIslands && extraIslandsLeft > 0) {
+        const climbing = summitIsland.topY < targetHeight;
+        const radius = Random.randFloat(ISLAND_RADIUS_RANGE[0], ISLAND_RADIUS_RANGE[1]);
+        let rise = climbing
+            ? Random.randFloat(0.4, 1.0) * reach.maxRise
+            : Random.randFloat(-0.6, 0.3) * reach.maxRise;
+        if (climbing) rise = Math.min(rise, targetHeight - prev.topY);
+        let gap = Random.randFloat(0.4, 1.0) * reach.maxGapForRise(rise);
+        const swingGap = swingGapsLeft > 0 && prev !== spawnIsland && Random.random() < SWING_GAP_CHANCE;
+        if (swingGap) {
+            rise = Random.randFloat(-0.3, 0) * reach.maxRise; // Level or slightly down
+            gap = Random.randFloat(SWING_GAP_RANGE[0], SWING_GAP_RANGE[1]);
+        }
+        const movingGap = !swingGap && movingGapsLeft > 0 && prev !== spawnIsland && Random.random() < MOVING_GAP_CHANCE;
+        let hopPlatformRadius = 0;
+        if (movingGap) {
+            const liftRise = Random.randFloat(LIFT_RISE_RANGE[0], LIFT_RISE_RANGE[1]) * reach.maxRise;
+            if (climbing && targetHeight - prev.topY >= liftRise) {
+                // Lift: too tall to jump, with just enough room beside the lower island for the platform
+                rise = liftRise;
+                hopPlatformRadius = LIFT_RADIUS;
+                gap = 2 * (LIFT_RADIUS + PLATFORM_EDGE_CLEARANCE);
+            } else {
+                // Ferry: too wide to jump
+                rise = Random.randFloat(-0.3, 0.3) * reach.maxRise;
+                hopPlatformRadius = FERRY_RADIUS;
+                gap = Random.randFloat(FERRY_GAP_RANGE[0], FERRY_GAP_RANGE[1]);
+            }
+        }
+        const centerDistance = prev.radius + gap + radius;
+
+        const position = placeNextIsland(prev, radius, centerDistance, getObstacles(layout));
+        if (!position) {
+            console.warn("Island chain ran out of room, stopping early.");
+            break;
+        }
+
+        const island = addIsland(position.x, position.z, radius, prev.topY + rise);
+        if (swingGap) {
+            addSwingPoint(scene, worldObjectsRef, layout, prev, island);
+            swingGapsLeft--;
+        }
+        if (hopPlatformRadius > 0) {
+            addHopPlatform(scene, worldObjectsRef, layout, prev, island, hopPlatformRadius);
+            movingGapsLeft--;
+        }
+        if (island.topY > summitIsland.topY) summitIsland = island;
+        if (!climbing) extraIslandsLeft--;
+        prev = island;
+    }
+
+    if (movingPlatforms) {
+        const hosts = islands.filter(island => island !== spawnIsland);
+        let orbitingLeft = Random.randInt(ORBITING_ISLAND_RANGE[0], ORBITING_ISLAND_RANGE[1]);
+        for (let attempt = 0; attempt < HEADING_ATTEMPTS && orbitingLeft > 0 && hosts.length > 0; attempt++) {
+            if (addOrbitingIsland(scene, worldObjectsRef, layout, Random.pick(hosts))) orbitingLeft--;
+        }
+    }
+
+    if (summitIsland.topY < targetHeight - 0.01) {
+        console.warn(`Island chain only reached y=${summitIsland.topY.toFixed(2)} (target ${targetHeight}).`);
+    }
+    console.log(`Generated ${islands.length} floating islands, ${layout.swingPoints.length} swing gaps, ${layout.movingPlatforms.length} moving platforms (summit y=${summitIsland.topY.toFixed(2)}).`);
+
+    return Object.assign(layout, { spawnIsland, summitIsland });
+}
+
+// Islands as placement surfaces for placeObjectRandomly (see utils.setPlacementSurfaces)
+export function getIslandPlacementSurfaces(layout, includeSpawnIsland = true) {
+    if (!layout) return null;
+    return layout.islands
+        .filter(island => includeSpawnIsland || island !== layout.spawnIsland)
+        .map(island => ({ x: island.x, z: island.z, radius: island.radius, y: island.topY }));
+}
+
+// One more island `gap` away from the edge of the highest island that has room around it:
+// further than a jump when an objective wants a target only dash or glide can reach.
+// Null if no island has room for it.
+export function addOutpostIsland(scene, worldObjectsRef, layout, gap) {
+    const radius = Random.randFloat(ISLAND_RADIUS_RANGE[0], ISLAND_RADIUS_RANGE[1]);
+    const candidates = layout.islands.filter(island => island !== layout.spawnIsland).sort((a, b) => b.topY - a.topY);
+    for (const from of candidates) {
+        const position = placeNextIsland(from, radius, from.radius + gap + radius, getObstacles(layout));
+        // At least `gap` from every island and platform, or a plain jump from one would reach it
+        const clearance = radius + gap * 0.99 - MIN_ISLAND_SEPARATION;
+        if (!position || overlapsExisting(position.x, position.z, clearance, getObstacles(layout), null)) continue;
+        return addIslandToLayout(scene, worldObjectsRef, layout, position.x, position.z, radius, from.topY);
+    }
+    console.warn("No room for an outpost island.");
+    return null;
+}
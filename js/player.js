@@ -1,8 +1,52 @@
 import * as THREE from 'three';
 import * as Constants from './constants.js';
-import { shuffleArray, triggerScreenShake, updateScreenShake } from './utils.js';
+import { shuffleArray, triggerScreenShake, updateScreenShake, decayForStep, blendForStep } from './utils.js';
 import * as Audio from './audio.js'; // Import audio for effects
 import { getCurrentUniverseType } from './universeManager.js'; // Import the function
+import { getNearbyObjects, getObjectsNearPoint } from './spatialIndex.js';
+import { getCollisionShapes, capsuleShapeContact } from './collisionShapes.js';
+import { snapInterpolation } from './interpolation.js';
+import { isAbility } from './abilities.js';
+import { createAvatar, updateAvatar } from './avatar.js';
+import { buildControlMap, onBindingsChanged } from './controls.js';
+import { getPlatformCarry } from './movingPlatforms.js';
+
+// Reusable temporaries for terrain collision
+const terrainNormal = new THREE.Vector3();
+const downhillDir = new THREE.Vector3();
+
+// Reusable temporaries for capsule collision
+const capsuleStart = new THREE.Vector3();
+const capsuleEnd = new THREE.Vector3();
+const stepOffset = new THREE.Vector3();
+const shapeContact = { depth: 0, normal: new THREE.Vector3(), point: new THREE.Vector3() };
+const stepContact = { depth: 0, normal: new THREE.Vector3(), point: new THREE.Vector3() };
+const walkableNormalY = Math.cos(THREE.MathUtils.degToRad(Constants.MAX_WALKABLE_SLOPE_DEG));
+
+// Reusable temporaries for vine swinging
+const swingOffset = new THREE.Vector3();
+const aimDirection = new THREE.Vector3();
+const toSwingPoint = new THREE.Vector3();
+const swingEye = new THREE.Vector3();
+const swingAimCos = Math.cos(THREE.MathUtils.degToRad(Constants.SWING_AIM_ANGLE_DEG));
+
+// Reusable temporary for riding moving platforms
+const platformCarry = new THREE.Vector3();
+
+// Reusable temporaries for the stand-up headroom check
+const headroomBox = new THREE.Box3();
+const headroomOffset = new THREE.Vector3();
+const HEADROOM_EPSILON = 0.02; // Lifts the test capsule off the floor it stands on
+
+// Reusable temporaries for the third-person camera boom
+const boomPivot = new THREE.Vector3();
+const boomDirection = new THREE.Vector3();
+const boomEnd = new THREE.Vector3();
+const boomSample = new THREE.Vector3();
+const boomBox = new THREE.Box3();
+const boomRaycaster = new THREE.Raycaster();
+const boomHits = [];
+const TERRAIN_BOOM_SAMPLES = 16;
 
 export class Player {
     constructor(scene, camera) {
@@ -19,19 +63,66 @@ export class Player {
         this.mesh.userData.isPlayerMesh = true;
         scene.add(this.mesh);
 
+        // Camera: 'first' person at the head, or 'third' person on a boom behind the visible avatar
+        this.cameraMode = 'first';
+        this.boomLength = Constants.THIRD_PERSON_DISTANCE;
+        this.boomCandidates = []; // Reused spatial query result
+        this.avatar = createAvatar();
+        this.avatar.visible = false;
+        scene.add(this.avatar);
+
         // Physics state
         this.velocity = new THREE.Vector3();
         this.onGround = false;
         this.lastVelocityY = 0; // For landing detection
+        this.height = Constants.PLAYER_HEIGHT; // Capsule height, lower while crouching
+        this.isCrouching = false;
+
+        // Sprinting drains stamina; running dry locks sprint until STAMINA_RECOVERY_THRESHOLD
+        this.maxStamina = Constants.PLAYER_MAX_STAMINA;
+        this.stamina = this.maxStamina;
+        this.isSprinting = false;
+        this.staminaExhausted = false;
+        this.staminaRegenDelay = 0;
+
+        // Health (damaged by hazards, restored on respawn)
+        this.maxHealth = Constants.PLAYER_MAX_HEALTH;
+        this.health = this.maxHealth;
+
+        // Movement abilities (abilities.js), unlocked by key clues and kept across universes
+        this.abilities = new Set();
+        this.usedAirJump = false;
+        this.usedAirDash = false;
+        this.dashTimer = 0;
+        this.dashCooldown = 0;
+        this.dashDirection = new THREE.Vector3();
+        this.lastMoveDirection = new THREE.Vector3(); // Input direction of the last step, aims the dash
+        this.isGliding = false;
+
+        // Vine swinging: attached to a vine_swing_point by a rope of fixed maximum length
+        this.swingAnchor = null;
+        this.swingLength = 0;
+        this.swingRope = null; // Line drawn while swinging, created on first grab
+        this.swingCandidates = []; // Reused spatial query result
+
+        this.groundPlatform = null; // Moving platform stood on during the last step
 
         // Collision detection state
-        this.collider = new THREE.Box3(); // Player's collision box (AABB approximation)
+        this.collider = new THREE.Box3(); // AABB around the capsule: broadphase, hazards and triggers
         this.updateCollider();
+        this.broadphaseBox = new THREE.Box3(); // Area swept this frame, for the spatial index query
+        this.nearbyObjects = []; // Reused candidate list
 
         // Controls state
         this.keysPressed = {};
-        this.controlMap = { ...Constants.defaultControlMap }; // Current control mapping
+        this.analogInputs = new Map(); // Source ('gamepad', 'touch') -> { move: {x: right, y: forward}, held: Set of actions }
+        this.controlRemap = {}; // Movement action -> action its keys trigger instead (control randomization)
+        this.controlMap = buildControlMap(); // Key code -> action, from the player's key bindings
         this.isControlsRandomized = false;
+        this.controlChaos = new Set(); // Active control-chaos modes (controlChaos.js)
+        this.delayedInputs = []; // Movement input of recent steps, for 'inputDelay'
+        this.cameraDriftTime = 0;
+        onBindingsChanged(() => { this.controlMap = buildControlMap(this.controlRemap); });
         this.euler = new THREE.Euler(0, 0, 0, 'YXZ'); // For mouse look
 
         // Universe-specific physics parameters
@@ -51,11 +142,25 @@ export class Player {
              position = new THREE.Vector3(0, Constants.PLAYER_HEIGHT / 2 + 0.1, 5); // Default safe fallback
         }
 
+        this.setHeight(Constants.PLAYER_HEIGHT); // `position` is a standing centre
         this.mesh.position.copy(position);
         this.velocity.set(0, 0, 0);
         this.onGround = false;
         this.lastVelocityY = 0;
+        this.health = this.maxHealth;
+        this.usedAirJump = false;
+        this.usedAirDash = false;
+        this.dashTimer = 0;
+        this.dashCooldown = 0;
+        this.isGliding = false;
+        this.stamina = this.maxStamina;
+        this.isSprinting = false;
+        this.staminaExhausted = false;
+        this.staminaRegenDelay = 0;
+        this.releaseSwing();
+        this.groundPlatform = null;
         this.updateCollider();
+        snapInterpolation(this.mesh);
 
         // --- RESET CAMERA POSITION AND ORIENTATION ---
         // Ensure camera exists before manipulating
@@ -77,48 +182,316 @@ export class Player {
         this.keysPressed = keysState;
     }
 
+    // Shuffles the player's own movement bindings between the movement actions
     randomizeControls() {
         let shuffledActions = [...Constants.controlActions];
         shuffleArray(shuffledActions);
-        this.controlMap.KeyW = shuffledActions[0];
-        this.controlMap.KeyS = shuffledActions[1];
-        this.controlMap.KeyA = shuffledActions[2];
-        this.controlMap.KeyD = shuffledActions[3];
+        this.controlRemap = {};
+        Constants.controlActions.forEach((action, i) => { this.controlRemap[action] = shuffledActions[i]; });
+        this.controlMap = buildControlMap(this.controlRemap);
         this.isControlsRandomized = true;
-        console.log("Player controls randomized:", this.controlMap);
+        console.log("Player controls randomized:", this.controlRemap);
     }
 
     resetControls() {
-        this.controlMap = { ...Constants.defaultControlMap };
+        this.controlRemap = {};
+        this.controlMap = buildControlMap();
         this.isControlsRandomized = false;
+        this.controlChaos.clear();
+        this.delayedInputs.length = 0;
         console.log("Player controls reset to default.");
     }
 
+    // Puts this universe's control-chaos modes on the player (replacing any previous ones)
+    applyControlChaos(modes) {
+        this.resetControls();
+        modes.forEach(mode => this.controlChaos.add(mode));
+        if (this.controlChaos.has('shuffle')) this.randomizeControls();
+        if (this.controlChaos.has('mirroredStrafe')) {
+            // Swap whatever left and right lead to, so it stacks with a shuffle
+            const swap = { left: 'right', right: 'left' };
+            Constants.controlActions.forEach(action => {
+                const target = this.controlRemap[action] ?? action;
+                this.controlRemap[action] = swap[target] ?? target;
+            });
+            this.controlMap = buildControlMap(this.controlRemap);
+        }
+        this.isControlsRandomized = this.controlChaos.size > 0;
+        this.cameraDriftTime = 0;
+        console.log("Control chaos applied:", [...this.controlChaos]);
+    }
+
+    // Clears every control-chaos mode (the universe's stabilizer item). Returns whether any was active.
     stabilizeControls() {
-         this.resetControls();
-         console.log("Player controls stabilized for this universe.");
+        const wasChaotic = this.isControlsRandomized;
+        this.resetControls();
+        console.log("Player controls stabilized for this universe.");
+        return wasChaotic;
+    }
+
+    // 'inputDelay': swaps this step's movement input for the one from CONTROL_INPUT_DELAY ago
+    delayMovementInput(inputVector) {
+        this.delayedInputs.push(inputVector.clone());
+        const delaySteps = Math.round(Constants.CONTROL_INPUT_DELAY / Constants.PHYSICS_TIMESTEP);
+        if (this.delayedInputs.length > delaySteps) inputVector.copy(this.delayedInputs.shift());
+        else inputVector.set(0, 0);
+    }
+
+    // Input from a stick-like device for this frame (gamepad.js, touchControls.js): deflection
+    // and the actions whose buttons are down. Read alongside the keys in getActionAmount.
+    setAnalogInput(source, move, heldActions) {
+        let input = this.analogInputs.get(source);
+        if (!input) {
+            input = { move: new THREE.Vector2(), held: new Set() };
+            this.analogInputs.set(source, input);
+        }
+        input.move.set(move.x, move.y);
+        input.held = heldActions;
+    }
+
+    // How strongly `action` is requested, 0..1: keys and buttons are all or nothing, sticks are analog.
+    // Keys go through the control map and analog input through the same remap, so control
+    // randomization shuffles every input device alike.
+    getActionAmount(action) {
+        for (const code in this.controlMap) {
+            if (this.controlMap[code] === action && this.keysPressed[code]) return 1;
+        }
+        let amount = 0;
+        for (const { move, held } of this.analogInputs.values()) {
+            for (const heldAction of held) {
+                if ((this.controlRemap[heldAction] ?? heldAction) === action) return 1;
+            }
+            if (move.x === 0 && move.y === 0) continue;
+            const stickAmounts = { forward: move.y, backward: -move.y, right: move.x, left: -move.x };
+            for (const stickAction in stickAmounts) {
+                if ((this.controlRemap[stickAction] ?? stickAction) === action) amount = Math.max(amount, stickAmounts[stickAction]);
+            }
+        }
+        return amount;
+    }
+
+    isActionHeld(action) {
+        return this.getActionAmount(action) >= 0.5;
     }
 
     handleMouseMove(event) {
+        this.rotateView((event.movementX || 0) * Constants.MOUSE_LOOK_SENSITIVITY, (event.movementY || 0) * Constants.MOUSE_LOOK_SENSITIVITY);
+    }
+
+    // Turn the view by yaw/pitch deltas in radians (mouse look, the gamepad's right stick and touch drags)
+    rotateView(yawDelta, pitchDelta) {
         if (!this.camera) return; // Safety check
-        const movementX = event.movementX || 0;
-        const movementY = event.movementY || 0;
         const PI_2 = Math.PI / 2;
+        if (this.controlChaos.has('invertedLook')) pitchDelta = -pitchDelta;
 
         this.euler.setFromQuaternion(this.camera.quaternion);
-        this.euler.y -= movementX * 0.002;
-        this.euler.x -= movementY * 0.002;
+        this.euler.y -= yawDelta;
+        this.euler.x -= pitchDelta;
         this.euler.x = Math.max(-PI_2, Math.min(PI_2, this.euler.x)); // Clamp vertical rotation
         this.camera.quaternion.setFromEuler(this.euler);
     }
 
+    // --- Health ---
+
+    takeDamage(amount) {
+        if (amount <= 0) return this.health;
+        this.health = Math.max(0, this.health - amount);
+        return this.health;
+    }
+
+    // --- Abilities ---
+
+    unlockAbility(name) {
+        if (!isAbility(name) || this.abilities.has(name)) return false;
+        this.abilities.add(name);
+        console.log(`Ability unlocked: ${name}`);
+        return true;
+    }
+
+    hasAbility(name) {
+        return this.abilities.has(name);
+    }
+
+    getUnlockedAbilities() {
+        return [...this.abilities];
+    }
+
+    // For the HUD: each unlocked ability, whether it's in use and whether it can be used now
+    getAbilityStatus() {
+        return this.getUnlockedAbilities().map(name => ({
+            name,
+            active: (name === 'dash' && this.dashTimer > 0) || (name === 'glide' && this.isGliding),
+            ready: name === 'dash' ? this.dashCooldown <= 0 && !this.usedAirDash
+                : name === 'double_jump' ? !this.usedAirJump
+                : true,
+        }));
+    }
+
+    // Short horizontal burst along the movement input (or the view direction when standing still)
+    dash() {
+        if (!this.hasAbility('dash') || this.swingAnchor || this.dashTimer > 0 || this.dashCooldown > 0 || this.usedAirDash) return;
+        this.dashDirection.copy(this.lastMoveDirection);
+        if (this.dashDirection.lengthSq() === 0 && this.camera) this.camera.getWorldDirection(this.dashDirection);
+        this.dashDirection.y = 0;
+        if (this.dashDirection.lengthSq() === 0) return;
+        this.dashDirection.normalize();
+
+        this.dashTimer = Constants.DASH_DURATION;
+        this.dashCooldown = Constants.DASH_COOLDOWN;
+        if (!this.onGround) this.usedAirDash = true;
+        Audio.playSound('jump', 0.5, 600);
+    }
+
+    // --- Vine Swinging ---
+
+    // Swing point in range of the head and closest to the centre of the view, or null
+    findSwingPoint(worldObjects) {
+        if (!this.camera) return null;
+        this.camera.getWorldDirection(aimDirection);
+        this.getEyePosition(swingEye);
+        let best = null;
+        let bestCos = swingAimCos;
+        this.swingCandidates.length = 0;
+        for (const obj of getObjectsNearPoint(worldObjects, swingEye, Constants.SWING_GRAB_RANGE, this.swingCandidates)) {
+            if (!obj.userData.isSwingPoint) continue;
+            if (obj.position.distanceTo(swingEye) > Constants.SWING_GRAB_RANGE) continue;
+            toSwingPoint.subVectors(obj.position, this.camera.position); // The camera is behind the head in third person
+            const distance = toSwingPoint.length();
+            if (distance === 0) continue;
+            const aimCos = toSwingPoint.dot(aimDirection) / distance;
+            if (aimCos > bestCos) { bestCos = aimCos; best = obj; }
+        }
+        return best;
+    }
+
+    // Grab the swing point being aimed at, or let go if already swinging.
+    // Only in the air: touching down lets go, so a grab from the ground wouldn't last a step.
+    toggleSwing(worldObjects) {
+        if (this.swingAnchor) { this.releaseSwing(); return false; }
+        if (this.onGround) return false;
+        const swingPoint = this.findSwingPoint(worldObjects);
+        if (!swingPoint) return false;
+        this.swingAnchor = swingPoint;
+        this.swingLength = this.mesh.position.distanceTo(swingPoint.position);
+        this.usedAirJump = false; // A fresh grab gives the double jump back
+        this.dashTimer = 0;
+        if (!this.swingRope) {
+            this.swingRope = new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]),
+                new THREE.LineBasicMaterial({ color: 0x55aa33 })
+            );
+            this.swingRope.frustumCulled = false;
+            this.swingRope.userData.keepAcrossUniverses = true;
+            this.scene.add(this.swingRope);
+        }
+        this.swingRope.visible = true;
+        Audio.playSound('jump', 0.4, -300);
+        return true;
+    }
+
+    // Let go, keeping the swing's momentum (`boost` adds an upward kick when jumping off)
+    releaseSwing(boost = 0) {
+        if (!this.swingAnchor) return;
+        this.swingAnchor = null;
+        this.velocity.y += boost;
+        if (this.swingRope) this.swingRope.visible = false;
+    }
+
+    // Keeps the player within rope length of the anchor: the pendulum constraint.
+    // Modifies deltaPosition in place and removes the velocity stretching the rope.
+    applySwingConstraint(deltaPosition) {
+        const anchor = this.swingAnchor.position;
+        swingOffset.copy(this.mesh.position).add(deltaPosition).sub(anchor);
+        const distance = swingOffset.length();
+        if (distance <= this.swingLength || distance === 0) return; // Rope is slack
+        swingOffset.divideScalar(distance); // Now the rope direction
+        deltaPosition.addScaledVector(swingOffset, this.swingLength - distance);
+        const outwardSpeed = this.velocity.dot(swingOffset);
+        if (outwardSpeed > 0) this.velocity.addScaledVector(swingOffset, -outwardSpeed);
+    }
+
+    // Once per rendered frame: rope from the hand to the anchor
+    updateSwingRope() {
+        if (!this.swingRope || !this.swingAnchor) return;
+        const positions = this.swingRope.geometry.attributes.position;
+        positions.setXYZ(0, this.mesh.position.x, this.mesh.position.y + this.height * 0.3, this.mesh.position.z);
+        positions.setXYZ(1, this.swingAnchor.position.x, this.swingAnchor.position.y, this.swingAnchor.position.z);
+        positions.needsUpdate = true;
+    }
+
+    // --- Crouch & Sprint ---
+
+    // Resize the capsule keeping the feet in place
+    setHeight(height) {
+        this.mesh.position.y += (height - this.height) / 2;
+        this.height = height;
+        this.isCrouching = height < Constants.PLAYER_HEIGHT;
+        this.mesh.scale.y = height / Constants.PLAYER_HEIGHT;
+        this.updateCollider();
+    }
+
+    // Crouch while the crouch action is held; stand back up only where there is room
+    updateCrouch(worldObjects) {
+        const wantsCrouch = this.isActionHeld('crouch') && !this.swingAnchor;
+        if (wantsCrouch === this.isCrouching) return;
+        if (!wantsCrouch && !this.hasHeadroom(worldObjects)) return; // Still under something low
+        this.setHeight(wantsCrouch ? Constants.PLAYER_CROUCH_HEIGHT : Constants.PLAYER_HEIGHT);
+    }
+
+    // Whether a standing capsule would fit here
+    hasHeadroom(worldObjects) {
+        const rise = Constants.PLAYER_HEIGHT - this.height;
+        headroomBox.copy(this.collider);
+        headroomBox.max.y += rise;
+        headroomOffset.set(0, rise / 2 + HEADROOM_EPSILON, 0);
+        const halfSegment = Constants.PLAYER_HEIGHT / 2 - Constants.PLAYER_RADIUS;
+        capsuleStart.copy(this.mesh.position).add(headroomOffset);
+        capsuleStart.y -= halfSegment;
+        capsuleEnd.copy(this.mesh.position).add(headroomOffset);
+        capsuleEnd.y += halfSegment;
+
+        this.nearbyObjects.length = 0;
+        for (const obj of getNearbyObjects(worldObjects, headroomBox, this.nearbyObjects)) {
+            if (obj === this.mesh || !obj.userData.boundingBox || obj.userData.isNonCollidable || obj.userData.isNPC || obj.userData.isTerrain) continue;
+            if (!headroomBox.intersectsBox(obj.userData.boundingBox)) continue;
+            for (const shape of getCollisionShapes(obj)) {
+                if (capsuleShapeContact(capsuleStart, capsuleEnd, Constants.PLAYER_RADIUS, shape, stepContact)) return false;
+            }
+        }
+        return true;
+    }
+
+    // Sprint while the sprint action is held and the player is moving, draining stamina
+    updateStamina(deltaTime, moving) {
+        if (this.staminaExhausted && this.stamina >= Constants.STAMINA_RECOVERY_THRESHOLD) this.staminaExhausted = false;
+        this.isSprinting = moving && this.isActionHeld('sprint') && !this.isCrouching && !this.staminaExhausted &&
+            !this.swingAnchor && this.stamina > 0;
+
+        if (this.isSprinting) {
+            this.stamina = Math.max(0, this.stamina - Constants.STAMINA_DRAIN_RATE * deltaTime);
+            this.staminaRegenDelay = Constants.STAMINA_REGEN_DELAY;
+            if (this.stamina === 0) this.staminaExhausted = true;
+        } else if (this.staminaRegenDelay > 0) {
+            this.staminaRegenDelay -= deltaTime;
+        } else {
+            this.stamina = Math.min(this.maxStamina, this.stamina + Constants.STAMINA_REGEN_RATE * deltaTime);
+        }
+    }
+
     // --- Physics & Update ---
 
     jump() {
-        if (this.onGround) {
+        if (this.swingAnchor) {
+            this.releaseSwing(Constants.SWING_RELEASE_BOOST);
+            Audio.playJumpSound();
+        } else if (this.onGround) {
             this.velocity.y = Constants.JUMP_VELOCITY;
             this.onGround = false;
             Audio.playJumpSound();
+        } else if (this.hasAbility('double_jump') && !this.usedAirJump) {
+            this.velocity.y = Constants.DOUBLE_JUMP_VELOCITY;
+            this.usedAirJump = true;
+            Audio.playSound('jump', 0.6, 300);
         }
     }
 
@@ -133,32 +506,29 @@ export class Player {
          console.log("Player physics updated:", this.currentPhysics);
     }
 
-    // --- Accept spawnPoint in signature ---
-    update(deltaTime, worldObjects, spawnPoint) {
+    // One fixed simulation step (see animate() in main.js).
+    // Falling out of the world is handled by the hazard system (hazards.js)
+    update(deltaTime, worldObjects) {
         // Safety check for camera
         if (!this.camera) {
             console.error("Player camera missing in update!");
             return;
         }
+        this.rideMovingPlatform();
 
-        // --- AUTOMATIC RESPAWN CHECK ---
-        if (this.mesh.position.y < Constants.RESPAWN_Y_THRESHOLD) {
-            console.log(`Player fell below threshold (${Constants.RESPAWN_Y_THRESHOLD}). Respawning.`);
-            Audio.playRespawnSound(); // Play respawn sound
-            this.reset(spawnPoint); // Reset using the passed spawnPoint
-            return; // Stop further updates this frame after reset
-        }
-        // --- END RESPAWN CHECK ---
-
-        const effectiveSpeed = Constants.PLAYER_BASE_SPEED * this.currentPhysics.speedMultiplier;
         let moveDirection = new THREE.Vector3(0, 0, 0);
         let inputVector = new THREE.Vector2(0, 0); // x = strafe, y = forward/backward
 
-        // Calculate input based on current control map
-        if (this.keysPressed['KeyW']) { const action = this.controlMap['KeyW']; if (action === 'forward') inputVector.y += 1; else if (action === 'backward') inputVector.y -= 1; else if (action === 'left') inputVector.x -= 1; else if (action === 'right') inputVector.x += 1; }
-        if (this.keysPressed['KeyS']) { const action = this.controlMap['KeyS']; if (action === 'forward') inputVector.y += 1; else if (action === 'backward') inputVector.y -= 1; else if (action === 'left') inputVector.x -= 1; else if (action === 'right') inputVector.x += 1; }
-        if (this.keysPressed['KeyA']) { const action = this.controlMap['KeyA']; if (action === 'forward') inputVector.y += 1; else if (action === 'backward') inputVector.y -= 1; else if (action === 'left') inputVector.x -= 1; else if (action === 'right') inputVector.x += 1; }
-        if (this.keysPressed['KeyD']) { const action = this.controlMap['KeyD']; if (action === 'forward') inputVector.y += 1; else if (action === 'backward') inputVector.y -= 1; else if (action === 'left') inputVector.x -= 1; else if (action === 'right') inputVector.x += 1; }
+        // Calculate input based on current control map (analog when it comes from a stick)
+        inputVector.y = this.getActionAmount('forward') - this.getActionAmount('backward');
+        inputVector.x = this.getActionAmount('right') - this.getActionAmount('left');
+        if (this.controlChaos.has('inputDelay')) this.delayMovementInput(inputVector);
+
+        this.updateCrouch(worldObjects);
+        this.updateStamina(deltaTime, inputVector.lengthSq() > 0);
+        let effectiveSpeed = Constants.PLAYER_BASE_SPEED * this.currentPhysics.speedMultiplier;
+        if (this.isSprinting) effectiveSpeed *= Constants.SPRINT_SPEED_MULTIPLIER;
+        else if (this.isCrouching) effectiveSpeed *= Constants.CROUCH_SPEED_MULTIPLIER;
 
         // Get camera direction (flattened)
         const forward = new THREE.Vector3();
@@ -172,45 +542,64 @@ export class Player {
 
         // Apply input relative to camera
         if (inputVector.lengthSq() > 0) {
-            inputVector.normalize(); // Prevent faster diagonal movement
+            if (inputVector.lengthSq() > 1) inputVector.normalize(); // Prevent faster diagonal movement (a half-tilted stick stays slow)
             moveDirection.add(forward.multiplyScalar(inputVector.y));
             moveDirection.add(right.multiplyScalar(inputVector.x));
-            // Normalize final move direction only if inputs were combined
-            if (inputVector.x !== 0 && inputVector.y !== 0) {
-                 moveDirection.normalize(); // Normalize if moving diagonally
-            }
         }
 
+        this.lastMoveDirection.copy(moveDirection);
+
         // Apply movement intention to velocity
         let targetVelocityX = moveDirection.x * effectiveSpeed;
         let targetVelocityZ = moveDirection.z * effectiveSpeed;
 
+        if (this.dashCooldown > 0) this.dashCooldown -= deltaTime;
+        this.isGliding = this.hasAbility('glide') && !this.onGround && this.dashTimer <= 0 && !this.swingAnchor &&
+            this.isActionHeld('jump') && this.velocity.y < 0;
+
         const applyFriction = inputVector.lengthSq() === 0;
-        if (this.onGround) {
+        if (this.swingAnchor) {
+            // Swinging: gravity and the rope do the work, input pumps the swing
+            const swingControl = blendForStep(Constants.SWING_AIR_CONTROL, deltaTime);
+            this.velocity.x += (targetVelocityX - this.velocity.x) * swingControl;
+            this.velocity.z += (targetVelocityZ - this.velocity.z) * swingControl;
+        } else if (this.dashTimer > 0) {
+            // Dashing: fixed horizontal speed, gravity suspended, then back to running speed
+            this.dashTimer -= deltaTime;
+            const dashSpeed = this.dashTimer > 0 ? Constants.DASH_SPEED : effectiveSpeed;
+            this.velocity.x = this.dashDirection.x * dashSpeed;
+            this.velocity.z = this.dashDirection.z * dashSpeed;
+            this.velocity.y = 0;
+        } else if (this.onGround) {
             if (applyFriction) {
-                 this.velocity.x *= this.currentPhysics.friction;
-                 this.velocity.z *= this.currentPhysics.friction;
+                 const friction = decayForStep(this.currentPhysics.friction, deltaTime);
+                 this.velocity.x *= friction;
+                 this.velocity.z *= friction;
             } else {
-                  this.velocity.x += (targetVelocityX - this.velocity.x) * 0.2; // Smoother acceleration
-                  this.velocity.z += (targetVelocityZ - this.velocity.z) * 0.2;
+                  const acceleration = blendForStep(0.2, deltaTime); // Smoother acceleration
+                  this.velocity.x += (targetVelocityX - this.velocity.x) * acceleration;
+                  this.velocity.z += (targetVelocityZ - this.velocity.z) * acceleration;
             }
         } else {
-             // Air control
-             this.velocity.x += (targetVelocityX - this.velocity.x) * 0.03; // Less air control
-             this.velocity.z += (targetVelocityZ - this.velocity.z) * 0.03;
+             // Air control (more of it while gliding)
+             const airControl = blendForStep(this.isGliding ? Constants.GLIDE_AIR_CONTROL : 0.03, deltaTime); // Less air control
+             this.velocity.x += (targetVelocityX - this.velocity.x) * airControl;
+             this.velocity.z += (targetVelocityZ - this.velocity.z) * airControl;
         }
 
         // Apply Gravity
-        this.velocity.y += this.currentPhysics.gravity * deltaTime;
+        if (this.dashTimer <= 0) this.velocity.y += this.currentPhysics.gravity * deltaTime;
+        if (this.isGliding) this.velocity.y = Math.max(this.velocity.y, Constants.GLIDE_FALL_SPEED);
 
         // Store Y velocity before collision check for landing detection
         const V_y_before_collision = this.velocity.y;
 
         // Calculate potential position change
         const deltaPosition = this.velocity.clone().multiplyScalar(deltaTime);
+        if (this.swingAnchor) this.applySwingConstraint(deltaPosition);
 
         // Perform Collision Detection & Resolution
-        const { correctedDelta, grounded } = this.performCollisionDetection(deltaPosition, worldObjects);
+        const { correctedDelta, grounded, groundObject } = this.performCollisionDetection(deltaPosition, worldObjects, deltaTime);
 
         // Update Ground State & Landing Effects
         if (!this.onGround && grounded) {
@@ -220,6 +609,13 @@ export class Player {
              if (hardLanding) { triggerScreenShake(0.3, 0.08); }
         }
         this.onGround = grounded;
+        if (grounded) {
+            this.groundPlatform = groundObject?.userData.isMovingPlatform ? groundObject : null;
+            this.releaseSwing(); // Touching down ends the swing
+            this.usedAirJump = false;
+            this.usedAirDash = false;
+            this.isGliding = false;
+        }
 
         // Update Player Position based on corrected delta
         this.mesh.position.add(correctedDelta);
@@ -248,112 +644,293 @@ export class Player {
             if (outwardSpeed > 0) { this.velocity.sub(outwardDir.multiplyScalar(outwardSpeed * 1.1)); }
             this.updateCollider();
         }
+    }
 
-        // Update Camera Position
-        this.camera.position.x = this.mesh.position.x;
-        this.camera.position.y = this.mesh.position.y + (Constants.PLAYER_HEIGHT / 2) - Constants.PLAYER_RADIUS * 0.2;
-        this.camera.position.z = this.mesh.position.z;
+    // Start of every step, after the platforms moved: a grounded player moves and turns with the
+    // platform under them; one that jumped or walked off since keeps the platform's velocity.
+    rideMovingPlatform() {
+        const platform = this.groundPlatform;
+        if (!platform) return;
+        if (!this.onGround || !platform.parent) {
+            if (platform.parent) this.velocity.add(platform.userData.platformVelocity);
+            this.groundPlatform = null;
+            return;
+        }
+        this.mesh.position.add(getPlatformCarry(platform, this.mesh.position, platformCarry));
+        if (platform.userData.platformStepYaw !== 0) this.rotateView(-platform.userData.platformStepYaw, 0);
+        this.updateCollider();
+    }
+
+    getEyePosition(target) {
+        return target.set(this.mesh.position.x, this.mesh.position.y + (this.height / 2) - Constants.PLAYER_RADIUS * 0.2, this.mesh.position.z);
+    }
+
+    toggleCameraMode() {
+        this.cameraMode = this.cameraMode === 'first' ? 'third' : 'first';
+        this.avatar.visible = this.cameraMode === 'third';
+        this.boomLength = Constants.THIRD_PERSON_MIN_DISTANCE; // Ease out from the head rather than popping back
+        console.log(`Camera mode: ${this.cameraMode} person.`);
+        return this.cameraMode;
+    }
+
+    // Once per rendered frame, after interpolation has placed the mesh between simulation steps.
+    // Mouse look only rotates the camera, so it aims the same way in both modes.
+    updateCamera(frameTime, worldObjects = []) {
+        if (!this.camera) return;
+        this.getEyePosition(this.camera.position);
+        if (this.controlChaos.has('cameraDrift')) {
+            this.cameraDriftTime += frameTime;
+            const driftRate = Constants.CAMERA_DRIFT_SPEED * Math.sin(this.cameraDriftTime * Math.PI * 2 / Constants.CAMERA_DRIFT_PERIOD);
+            this.rotateView(driftRate * frameTime, 0);
+        }
+
+        if (this.cameraMode === 'third') {
+            updateAvatar(this.avatar, this, frameTime);
+            this.updateCameraBoom(frameTime, worldObjects);
+        }
 
         // Apply screen shake if active
-        updateScreenShake(this.camera, deltaTime);
+        updateScreenShake(this.camera, frameTime);
+    }
+
+    // Moves the camera from the head back along the view direction, stopping short of anything in the way
+    updateCameraBoom(frameTime, worldObjects) {
+        boomPivot.copy(this.camera.position);
+        boomPivot.y += Constants.THIRD_PERSON_PIVOT_HEIGHT;
+        this.camera.getWorldDirection(boomDirection).negate();
+
+        const clearance = this.findBoomClearance(boomPivot, boomDirection, worldObjects) - Constants.CAMERA_COLLISION_MARGIN;
+        const target = THREE.MathUtils.clamp(clearance, Constants.THIRD_PERSON_MIN_DISTANCE, Constants.THIRD_PERSON_DISTANCE);
+        if (target < this.boomLength) this.boomLength = target; // Pull in at once so walls never cover the view
+        else this.boomLength += (target - this.boomLength) * Math.min(1, Constants.CAMERA_BOOM_RETURN_RATE * frameTime);
+
+        this.camera.position.copy(boomPivot).addScaledVector(boomDirection, this.boomLength);
+    }
+
+    // Distance along the boom to the first solid object (full boom length plus margin if clear)
+    findBoomClearance(pivot, direction, worldObjects) {
+        const maxLength = Constants.THIRD_PERSON_DISTANCE + Constants.CAMERA_COLLISION_MARGIN;
+        boomEnd.copy(pivot).addScaledVector(direction, maxLength);
+        boomBox.setFromPoints([pivot, boomEnd]).expandByScalar(Constants.CAMERA_COLLISION_MARGIN);
+        boomRaycaster.set(pivot, direction);
+        boomRaycaster.far = maxLength;
+
+        let nearest = maxLength;
+        this.boomCandidates.length = 0;
+        for (const obj of getNearbyObjects(worldObjects, boomBox, this.boomCandidates)) {
+            if (!obj.userData.boundingBox || obj.userData.isNonCollidable || obj.userData.isNPC) continue;
+            if (!boomBox.intersectsBox(obj.userData.boundingBox)) continue;
+
+            if (obj.userData.isTerrain) {
+                // Heightmap terrain: sample the surface along the boom instead of raycasting its triangles
+                for (let i = 1; i <= TERRAIN_BOOM_SAMPLES; i++) {
+                    const distance = (maxLength * i) / TERRAIN_BOOM_SAMPLES;
+                    boomSample.copy(pivot).addScaledVector(direction, distance);
+                    if (boomSample.y < obj.userData.heightAt(boomSample.x, boomSample.z) + Constants.CAMERA_COLLISION_MARGIN) {
+                        nearest = Math.min(nearest, (maxLength * (i - 1)) / TERRAIN_BOOM_SAMPLES);
+                        break;
+                    }
+                }
+                continue;
+            }
+
+            obj.updateWorldMatrix(true, true); // Instanced scenery proxies aren't in the scene graph
+            boomHits.length = 0;
+            boomRaycaster.intersectObject(obj, true, boomHits);
+            if (boomHits.length > 0) nearest = Math.min(nearest, boomHits[0].distance);
+        }
+        return nearest;
     }
 
 
-    performCollisionDetection(deltaPosition, worldObjects) {
+    performCollisionDetection(deltaPosition, worldObjects, deltaTime = 0) {
         const originalDelta = deltaPosition.clone();
         let correctedDelta = deltaPosition.clone();
         let grounded = false;
-        const stepHeight = 0.2; // Allow stepping up small obstacles
+        let groundObject = null; // What the player ends up standing on
+        const stepHeight = Constants.PLAYER_STEP_HEIGHT;
 
         // Update collider to potential future position for checking
         const futureCollider = this.collider.clone().translate(deltaPosition);
 
-        for (const obj of worldObjects) {
+        // Broadphase: only objects near the swept box (step-ups/terrain snap stay well inside the margin)
+        this.broadphaseBox.copy(this.collider).union(futureCollider).expandByScalar(0.5);
+        this.nearbyObjects.length = 0;
+        const candidates = getNearbyObjects(worldObjects, this.broadphaseBox, this.nearbyObjects);
+
+        for (const obj of candidates) {
             // --- NPC COLLISION FIX ---
             // Skip self, non-collidable, objects without bounding boxes, OR NPCs
             if (obj === this.mesh || !obj.userData.boundingBox || obj.userData.isNonCollidable || obj.userData.isNPC) continue;
             // --- END NPC COLLISION FIX ---
 
-            const objectBox = obj.userData.boundingBox;
+            // Heightmap terrain: its AABB spans the highest peak, so sample the real surface instead
+            if (obj.userData.isTerrain) {
+                if (this.resolveTerrainCollision(obj, correctedDelta, deltaTime)) { grounded = true; groundObject = obj; }
+                futureCollider.copy(this.collider).translate(correctedDelta);
+                continue;
+            }
 
-            if (futureCollider.intersectsBox(objectBox)) {
-                // --- Collision Response ---
-
-                // 1. Ground Collision
-                if (originalDelta.y <= 0 && obj.userData.isGround) {
-                    const groundSurfaceY = objectBox.max.y;
-                    const playerBottomFutureY = futureCollider.min.y;
-
-                    if (playerBottomFutureY <= groundSurfaceY) {
-                        const groundClearance = groundSurfaceY - this.collider.min.y;
-                        if(groundClearance <= stepHeight && groundClearance > -0.1) {
-                             const stepUpCorrection = groundSurfaceY - this.collider.min.y;
-                              this.mesh.position.y += stepUpCorrection;
-                              correctedDelta.y = 0;
-                              this.velocity.y = 0;
-                              grounded = true;
-                              futureCollider.copy(this.collider).translate(correctedDelta);
-                        } else {
-                            const correction = groundSurfaceY - playerBottomFutureY;
-                            correctedDelta.y += correction;
-                            this.velocity.y = 0;
-                            grounded = true;
-                            futureCollider.translate(new THREE.Vector3(0, correction, 0));
-                        }
+            const objectBox = obj.userData.boundingBox;
+            if (!futureCollider.intersectsBox(objectBox)) continue; // Cheap pre-test, the shapes below decide
+
+            // 1. Ground Collision
+            // Ground whose top is more than a step above the feet (raised grid tiles,
+            // island sides) is a wall: let it fall through to the shape test below.
+            const isWalkableGround = obj.userData.isGround && objectBox.max.y - this.collider.min.y <= stepHeight;
+            if (originalDelta.y <= 0 && isWalkableGround) {
+                const groundSurfaceY = objectBox.max.y;
+                const playerBottomFutureY = futureCollider.min.y;
+
+                if (playerBottomFutureY <= groundSurfaceY) {
+                    const groundClearance = groundSurfaceY - this.collider.min.y;
+                    if(groundClearance <= stepHeight && groundClearance > -0.1) {
+                         const stepUpCorrection = groundSurfaceY - this.collider.min.y;
+                          this.mesh.position.y += stepUpCorrection;
+                          correctedDelta.y = 0;
+                          this.velocity.y = 0;
+                          grounded = true;
+                          groundObject = obj;
+                          futureCollider.copy(this.collider).translate(correctedDelta);
+                    } else {
+                        const correction = groundSurfaceY - playerBottomFutureY;
+                        correctedDelta.y += correction;
+                        this.velocity.y = 0;
+                        grounded = true;
+                        groundObject = obj;
+                        futureCollider.translate(new THREE.Vector3(0, correction, 0));
                     }
-                    continue;
                 }
+                continue;
+            }
 
-                // 2. Other Objects - AABB Separation
-                const penetration = new THREE.Vector3();
-                const centerPlayer = futureCollider.getCenter(new THREE.Vector3());
-                const centerObject = objectBox.getCenter(new THREE.Vector3());
-                const halfSizePlayer = futureCollider.getSize(new THREE.Vector3()).multiplyScalar(0.5);
-                const halfSizeObject = objectBox.getSize(new THREE.Vector3()).multiplyScalar(0.5);
-
-                penetration.x = halfSizePlayer.x + halfSizeObject.x - Math.abs(centerPlayer.x - centerObject.x);
-                penetration.y = halfSizePlayer.y + halfSizeObject.y - Math.abs(centerPlayer.y - centerObject.y);
-                penetration.z = halfSizePlayer.z + halfSizeObject.z - Math.abs(centerPlayer.z - centerObject.z);
-
-                 let minPen = Infinity;
-                 let axis = -1;
-
-                 if (penetration.x > 0 && penetration.x < minPen) { minPen = penetration.x; axis = 0; }
-                 if (penetration.y > 0 && penetration.y < minPen) { minPen = penetration.y; axis = 1; }
-                 if (penetration.z > 0 && penetration.z < minPen) { minPen = penetration.z; axis = 2; }
-
-                 const signCorrection = new THREE.Vector3();
-                 if (axis === 0) { // Correct X
-                     signCorrection.x = Math.sign(centerPlayer.x - centerObject.x);
-                     correctedDelta.x -= minPen * signCorrection.x;
-                     this.velocity.x = 0;
-                 } else if (axis === 1) { // Correct Y
-                     signCorrection.y = Math.sign(centerPlayer.y - centerObject.y);
-                     if (!grounded || signCorrection.y < 0) {
-                         correctedDelta.y -= minPen * signCorrection.y;
-                          if (this.velocity.y > 0 && signCorrection.y < 0) this.velocity.y = 0;
-                          if (this.velocity.y < 0 && signCorrection.y > 0) this.velocity.y = 0;
-                     }
-                 } else if (axis === 2) { // Correct Z
-                     signCorrection.z = Math.sign(centerPlayer.z - centerObject.z);
-                     correctedDelta.z -= minPen * signCorrection.z;
-                     this.velocity.z = 0;
-                 }
-
-                 futureCollider.copy(this.collider).translate(correctedDelta);
+            // 2. Other Objects - capsule against their oriented shapes (collisionShapes.js)
+            if (this.resolveShapeCollision(obj, correctedDelta, grounded)) { grounded = true; groundObject = obj; }
+            futureCollider.copy(this.collider).translate(correctedDelta);
+        }
+
+        return { correctedDelta, grounded, groundObject };
+    }
+
+    // Capsule axis of the player moved by `offset`
+    setCapsuleSegment(offset) {
+        const halfSegment = this.height / 2 - Constants.PLAYER_RADIUS;
+        capsuleStart.copy(this.mesh.position).add(offset);
+        capsuleStart.y -= halfSegment;
+        capsuleEnd.copy(this.mesh.position).add(offset);
+        capsuleEnd.y += halfSegment;
+    }
+
+    // Pushes the capsule out of an object: stands on walkable tops, steps up low ledges,
+    // slides along walls and stops at ceilings. Modifies correctedDelta in place;
+    // returns true if the player is standing on the object.
+    resolveShapeCollision(obj, correctedDelta, groundedSoFar) {
+        let grounded = false;
+        for (const shape of getCollisionShapes(obj)) {
+            this.setCapsuleSegment(correctedDelta);
+            const contact = capsuleShapeContact(capsuleStart, capsuleEnd, Constants.PLAYER_RADIUS, shape, shapeContact);
+            if (!contact) continue;
+            const { depth, normal } = contact;
+
+            if (normal.y >= walkableNormalY) {
+                // Walkable top: lift straight up so gentle slopes don't push the player sideways
+                correctedDelta.y += depth / normal.y;
+                if (this.velocity.y < 0) this.velocity.y = 0;
+                grounded = true;
+                continue;
             }
+
+            // Ledge low enough to step onto while walking (slopes taller than a step are walls)
+            const feetY = this.collider.min.y + correctedDelta.y;
+            const isLowLedge = obj.userData.boundingBox.max.y - feetY <= Constants.PLAYER_STEP_HEIGHT;
+            const canStep = isLowLedge && (this.onGround || groundedSoFar || grounded) && normal.y > -0.1;
+            const lift = canStep ? this.findStepUp(shape, correctedDelta) : null;
+            if (lift !== null) {
+                correctedDelta.y += lift;
+                if (this.velocity.y < 0) this.velocity.y = 0;
+                grounded = true;
+                continue;
+            }
+
+            // Wall or ceiling: push out along the normal and keep only the velocity along the surface
+            correctedDelta.addScaledVector(normal, depth);
+            const speedIntoSurface = this.velocity.dot(normal);
+            if (speedIntoSurface < 0) this.velocity.addScaledVector(normal, -speedIntoSurface);
+        }
+        return grounded;
+    }
+
+    // Smallest lift (up to PLAYER_STEP_HEIGHT) that clears a shape, or null if it's too tall to step onto
+    findStepUp(shape, correctedDelta) {
+        const isClearAt = (lift) => {
+            stepOffset.copy(correctedDelta);
+            stepOffset.y += lift;
+            this.setCapsuleSegment(stepOffset);
+            return !capsuleShapeContact(capsuleStart, capsuleEnd, Constants.PLAYER_RADIUS, shape, stepContact);
+        };
+        let high = Constants.PLAYER_STEP_HEIGHT;
+        if (!isClearAt(high)) return null;
+        let low = 0;
+        for (let i = 0; i < 8; i++) {
+            const mid = (low + high) / 2;
+            if (isClearAt(mid)) high = mid; else low = mid;
+        }
+        return high;
+    }
+
+    // Keeps the player on top of heightmap terrain and enforces the walkable-slope limit.
+    // Modifies correctedDelta in place; returns true if the player is standing on the terrain.
+    resolveTerrainCollision(terrain, correctedDelta, deltaTime) {
+        const { heightAt, normalAt } = terrain.userData;
+        let nextX = this.mesh.position.x + correctedDelta.x;
+        let nextZ = this.mesh.position.z + correctedDelta.z;
+        let gap = (this.collider.min.y + correctedDelta.y) - heightAt(nextX, nextZ);
+
+        // Walking downhill: stay glued to the ground instead of skipping off every bump
+        const sticking = this.onGround && this.velocity.y <= 0 && gap <= Constants.TERRAIN_SNAP_DISTANCE;
+        if (gap > 0 && !sticking) return false;
+
+        const normal = normalAt(nextX, nextZ, terrainNormal);
+        const slopeAngle = Math.acos(THREE.MathUtils.clamp(normal.y, -1, 1));
+        if (slopeAngle <= THREE.MathUtils.degToRad(Constants.MAX_WALKABLE_SLOPE_DEG)) {
+            correctedDelta.y -= gap; // Snap onto the surface
+            if (this.velocity.y < 0) this.velocity.y = 0;
+            return true;
+        }
+
+        // Too steep to stand on
+        if (gap > 0) return false; // Don't glue the player to cliff faces, let them fall
+        downhillDir.set(normal.x, 0, normal.z).normalize();
+
+        // Cancel any uphill motion (velocity and this step's movement)...
+        const uphillSpeed = -(this.velocity.x * downhillDir.x + this.velocity.z * downhillDir.z);
+        if (uphillSpeed > 0) {
+            this.velocity.x += downhillDir.x * uphillSpeed;
+            this.velocity.z += downhillDir.z * uphillSpeed;
+        }
+        const uphillStep = -(correctedDelta.x * downhillDir.x + correctedDelta.z * downhillDir.z);
+        if (uphillStep > 0) {
+            correctedDelta.x += downhillDir.x * uphillStep;
+            correctedDelta.z += downhillDir.z * uphillStep;
+            nextX = this.mesh.position.x + correctedDelta.x;
+            nextZ = this.mesh.position.z + correctedDelta.z;
+            gap = (this.collider.min.y + correctedDelta.y) - heightAt(nextX, nextZ);
         }
 
-        return { correctedDelta, grounded };
+        // ...then slide down the slope without sinking into it
+        const slideAcceleration = Math.abs(this.currentPhysics.gravity) * Math.sin(slopeAngle);
+        this.velocity.x += downhillDir.x * slideAcceleration * deltaTime;
+        this.velocity.z += downhillDir.z * slideAcceleration * deltaTime;
+        if (gap < 0) correctedDelta.y -= gap;
+        if (this.velocity.y < 0) this.velocity.y = 0;
+        return false;
     }
 
 
     updateCollider() {
         if (!this.mesh) return;
-        const radius = this.mesh.geometry?.parameters?.radius ?? Constants.PLAYER_RADIUS;
-        const height = this.mesh.geometry?.parameters?.height ?? (Constants.PLAYER_HEIGHT - 2 * Constants.PLAYER_RADIUS);
-        const capsuleHalfHeight = height / 2;
-        const totalHalfHeight = capsuleHalfHeight + radius;
+        const radius = Constants.PLAYER_RADIUS;
+        const totalHalfHeight = this.height / 2; // Follows crouching
 
         this.collider.min.set(
             this.mesh.position.x - radius,
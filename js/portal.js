@@ -21,7 +21,7 @@ export function createPortalMesh(color, type) {
     // Store type and create bounding box in userData
     portalMesh.userData = {
         isPortal: true,
-        type: type, // 'main' or 'random'
+        type: type, // 'main', 'random' or 'previous' (hub only, see universeHistory.js)
         boundingBox: new THREE.Box3()
     };
 
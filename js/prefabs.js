@@ -0,0 +1,383 @@
+import * as THREE from 'three';
+import * as Random from './random.js';
+import { getRandomColor } from './utils.js';
+import { getModel } from './assetsLoader.js';
+import { markSharedResource } from './disposal.js';
+
+// Scenery prefab library. Each prefab declares how it is built and what it is:
+//   build()       procedural builder; returns a Mesh/Group whose position.y is the height
+//                 of its origin above the ground (kept as userData.groundOffset)
+//   model         name of a GLTF preloaded by assetsLoader; used instead of build() when loaded
+//   collision     'box' (solid AABB) or 'none' (decorative, walk-through)
+//   castShadow / receiveShadow
+//   emissive      { color, intensity } applied to every material; color may be a function (rolled per instance)
+//   hazard        hazard type from hazards.js (sets isHazard / hazardType)
+//   floatsFreely  not snapped to the ground after placement
+//   userData()    extra per-instance userData
+//   instanced     { geometry(), material() } shared by every instance; build(shared) then only
+//                 sets the transform (and userData.instanceColor), and sceneryInstancing.js
+//                 draws all instances of the prefab with one InstancedMesh per geometry.
+//                 Emissive metadata is baked into the shared material once. geometry() may
+//                 return several shape variants (shared.geometries); with tintEmissive the
+//                 instance colour tints the glow as well as the surface.
+// Biome `sceneryPrefabs` lists refer to these names.
+
+const PREFABS = {};
+
+export function registerPrefab(name, definition) {
+    if (!definition || (typeof definition.build !== 'function' && !definition.model)) {
+        console.error(`Invalid prefab definition for '${name}':`, definition);
+        return;
+    }
+    PREFABS[name] = { collision: 'box', castShadow: true, receiveShadow: false, ...definition };
+}
+
+export function getPrefabNames() {
+    return Object.keys(PREFABS);
+}
+
+export function hasPrefab(name) {
+    return name in PREFABS;
+}
+
+// Materials of a model clone are shared with the cached GLTF: copy them before tinting
+function applyEmissive(object, emissive, cloneMaterials) {
+    const color = typeof emissive.color === 'function' ? emissive.color() : emissive.color;
+    object.traverse(node => {
+        if (!node.isMesh || !node.material) return;
+        if (cloneMaterials) node.material = Array.isArray(node.material) ? node.material.map(m => m.clone()) : node.material.clone();
+        const materials = Array.isArray(node.material) ? node.material : [node.material];
+        materials.forEach(material => {
+            if (!material.emissive) return;
+            material.emissive.set(color);
+            material.emissiveIntensity = emissive.intensity ?? 1.0;
+        });
+    });
+}
+
+function createDebugCube() {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1), new THREE.MeshStandardMaterial({ color: 0xff00ff }));
+    mesh.position.y = 0.5;
+    return mesh;
+}
+
+// Geometry/material shared by all instances of an instanced prefab, created on first use
+// Instance colours only tint the diffuse colour in three.js; this scales the glow by them too
+function tintEmissiveByInstanceColor(shader) {
+    shader.fragmentShader = shader.fragmentShader.replace(
+        '#include <emissivemap_fragment>',
+        '#include <emissivemap_fragment>\n#ifdef USE_COLOR\n\ttotalEmissiveRadiance *= vColor.rgb;\n#endif'
+    );
+}
+
+function getSharedResources(definition) {
+    if (!definition.shared) {
+        const geometries = [].concat(definition.instanced.geometry());
+        const material = definition.instanced.material();
+        if (definition.emissive) applyEmissive(new THREE.Mesh(geometries[0], material), definition.emissive, false);
+        if (definition.instanced.tintEmissive) material.onBeforeCompile = tintEmissiveByInstanceColor;
+        geometries.forEach(markSharedResource);
+        markSharedResource(material);
+        definition.shared = { geometry: geometries[0], geometries, material };
+    }
+    return definition.shared;
+}
+
+// Build one instance of a prefab with its metadata in userData
+export function createPrefab(name) {
+    let definition = PREFABS[name];
+    if (!definition) {
+        console.warn("Unknown scenery prefab:", name);
+        definition = { collision: 'box', castShadow: true, build: createDebugCube };
+    }
+
+    let object = null;
+    let fromModel = false;
+    if (definition.model) {
+        const gltf = getModel(definition.model);
+        if (gltf) {
+            object = gltf.scene.clone();
+            object.position.y = definition.modelGroundOffset ?? 0;
+            fromModel = true;
+        } else if (!definition.build) {
+            console.warn(`Model '${definition.model}' for prefab '${name}' is not loaded.`);
+            object = createDebugCube();
+        }
+    }
+    if (!object) object = definition.build(definition.instanced ? getSharedResources(definition) : undefined);
+    const instanceColor = object.userData.instanceColor;
+
+    object.traverse(node => {
+        if (!node.isMesh) return;
+        node.castShadow = definition.castShadow;
+        node.receiveShadow = definition.receiveShadow;
+    });
+    if (definition.emissive && !definition.instanced) applyEmissive(object, definition.emissive, fromModel);
+
+    object.userData = {
+        isScenery: true,
+        prefabName: name,
+        groundOffset: object.position.y,
+        boundingBox: new THREE.Box3(),
+        ...(definition.userData ? definition.userData() : {}),
+    };
+    if (definition.instanced) {
+        object.userData.isInstanced = true; // Drawn by sceneryInstancing.js, this mesh is only the collision proxy
+        if (instanceColor) object.userData.instanceColor = instanceColor;
+    }
+    if (definition.collision === 'none') object.userData.isNonCollidable = true;
+    if (definition.floatsFreely) object.userData.floatsFreely = true;
+    if (definition.hazard) {
+        object.userData.isHazard = true;
+        object.userData.hazardType = definition.hazard;
+    }
+    object.userData.boundingBox.setFromObject(object);
+    return object;
+}
+
+// --- Builders ---
+
+const standardMaterial = (params) => () => new THREE.MeshStandardMaterial(params);
+
+// Instance of a shared unit mesh, scaled into shape. `color` tints it through the instance colour.
+function instanceOf(shared, scale, color = null, geometry = shared.geometry) {
+    const mesh = new THREE.Mesh(geometry, shared.material);
+    mesh.scale.copy(scale);
+    if (color) mesh.userData.instanceColor = color;
+    return mesh;
+}
+
+const scaleVector = new THREE.Vector3();
+
+function buildRock(shared, minRadius, maxRadius, color = getRandomColor(0.2, 0.5)) {
+    const radius = Random.randFloat(minRadius, maxRadius);
+    const mesh = instanceOf(shared, scaleVector.setScalar(radius), color);
+    mesh.position.y = radius * 0.8; // Partly sunk into the ground
+    return mesh;
+}
+
+const rockPrefab = (minRadius, maxRadius, detail = 1, extra = {}) => ({
+    instanced: {
+        geometry: () => new THREE.IcosahedronGeometry(1, detail),
+        material: standardMaterial({ color: 0xffffff, roughness: 0.8, flatShading: true }),
+    },
+    build: (shared) => buildRock(shared, minRadius, maxRadius),
+    ...extra,
+});
+
+function buildCrystal(radius, height) {
+    return new THREE.Mesh(
+        new THREE.ConeGeometry(radius, height, Random.randInt(5, 8)),
+        new THREE.MeshStandardMaterial({ color: getRandomColor(0.6, 1.0), emissive: getRandomColor(0.1, 0.4), roughness: 0.3 })
+    );
+}
+
+// --- Built-in prefabs ---
+
+registerPrefab('crystal_large', {
+    instanced: {
+        geometry: () => [5, 6, 7, 8].map(segments => new THREE.ConeGeometry(1, 1, segments)),
+        material: standardMaterial({ color: 0xffffff, roughness: 0.3 }),
+        tintEmissive: true,
+    },
+    emissive: { color: 0x555555, intensity: 1.0 }, // Glows in the crystal's own colour
+    build(shared) {
+        const h = Random.randFloat(2, 5);
+        const r = Random.randFloat(0.5, 1.5);
+        const mesh = instanceOf(shared, scaleVector.set(r, h, r), getRandomColor(0.6, 1.0), Random.pick(shared.geometries));
+        mesh.position.y = h / 2;
+        return mesh;
+    },
+});
+
+registerPrefab('crystal_cluster', { // A few smaller crystals leaning out of one spot
+    build() {
+        const group = new THREE.Group();
+        const count = Random.randInt(3, 6);
+        for (let i = 0; i < count; i++) {
+            const h = Random.randFloat(0.8, 2.2);
+            const crystal = buildCrystal(Random.randFloat(0.2, 0.45), h);
+            const angle = (i / count) * Math.PI * 2;
+            const lean = i === 0 ? 0 : Random.randFloat(0.2, 0.5); // First crystal stands upright in the middle
+            crystal.position.set(Math.cos(angle) * lean, h / 2, Math.sin(angle) * lean);
+            crystal.rotation.set(Math.sin(angle) * lean, 0, -Math.cos(angle) * lean);
+            group.add(crystal);
+        }
+        group.position.y = 0; // Crystals are built up from the group origin
+        return group;
+    },
+});
+
+registerPrefab('glowing_rock', { // Each rock glows in its own colour
+    instanced: {
+        geometry: () => new THREE.IcosahedronGeometry(1, 1),
+        material: standardMaterial({ color: 0x666666, roughness: 0.8, flatShading: true }),
+        tintEmissive: true,
+    },
+    emissive: { color: 0xffffff, intensity: 0.8 },
+    build: (shared) => buildRock(shared, 0.6, 1.2, getRandomColor(0.4, 0.8)),
+});
+registerPrefab('rock_small', rockPrefab(0.3, 0.6, 0));
+registerPrefab('rock_medium', rockPrefab(0.8, 1.8));
+registerPrefab('rock_large', rockPrefab(2.0, 3.5));
+
+registerPrefab('rock_sharp', { // Jagged upright spike
+    instanced: {
+        geometry: () => new THREE.TetrahedronGeometry(1, 1),
+        material: standardMaterial({ color: 0xffffff, roughness: 0.9, flatShading: true }),
+    },
+    build(shared) {
+        const h = Random.randFloat(1.5, 3.5);
+        const mesh = instanceOf(shared, scaleVector.set(Random.randFloat(0.6, 1.0), h / 2, Random.randFloat(0.6, 1.0)), getRandomColor(0.1, 0.3));
+        mesh.position.y = h / 2 * 0.9;
+        return mesh;
+    },
+});
+
+registerPrefab('obsidian_shard', { // Tall glassy black blade
+    instanced: {
+        geometry: () => new THREE.OctahedronGeometry(1, 0),
+        material: standardMaterial({ color: 0x111118, metalness: 0.3, roughness: 0.05 }),
+    },
+    emissive: { color: 0x330011, intensity: 0.4 },
+    build(shared) {
+        const h = Random.randFloat(2, 4.5);
+        const mesh = instanceOf(shared, scaleVector.set(Random.randFloat(0.3, 0.6), h / 2, Random.randFloat(0.15, 0.3)));
+        mesh.rotation.z = Random.randFloatSpread(0.4);
+        mesh.position.y = h / 2 * 0.85;
+        return mesh;
+    },
+});
+
+registerPrefab('lava_pool_hazard', {
+    build() {
+        const mesh = new THREE.Mesh(
+            new THREE.CylinderGeometry(Random.randFloat(1.5, 3), Random.randFloat(1.5, 3), 0.1, 16),
+            new THREE.MeshStandardMaterial({ color: 0xff4400, roughness: 0.6 })
+        );
+        mesh.position.y = 0.05;
+        return mesh;
+    },
+    castShadow: false,
+    emissive: { color: 0xdd2200, intensity: 1.5 },
+    hazard: 'lava',
+});
+
+registerPrefab('data_column', {
+    instanced: {
+        geometry: () => new THREE.BoxGeometry(1, 1, 1),
+        material: standardMaterial({ color: 0x334455, metalness: 0.6, roughness: 0.4 }),
+    },
+    build(shared) {
+        const colH = Random.randFloat(3, 7);
+        const mesh = instanceOf(shared, scaleVector.set(0.5, colH, 0.5));
+        mesh.position.y = colH / 2;
+        return mesh;
+    },
+    emissive: { color: 0x00ffff, intensity: 0.2 },
+});
+
+registerPrefab('server_rack', { // Dark cabinet with rows of status lights on the front
+    build() {
+        const h = Random.randFloat(1.8, 2.6);
+        const rack = new THREE.Mesh(
+            new THREE.BoxGeometry(1.0, h, 0.8),
+            new THREE.MeshStandardMaterial({ color: 0x1a1f26, metalness: 0.7, roughness: 0.5 })
+        );
+        const ledMaterial = new THREE.MeshStandardMaterial({ color: 0x000000, emissive: 0x33ff66, emissiveIntensity: 1.5 });
+        const ledGeometry = new THREE.BoxGeometry(0.7, 0.04, 0.02);
+        for (let y = -h / 2 + 0.3; y < h / 2 - 0.2; y += 0.25) {
+            const led = new THREE.Mesh(ledGeometry, ledMaterial);
+            led.position.set(0, y, 0.41);
+            led.scale.x = Random.randFloat(0.3, 1.0);
+            rack.add(led);
+        }
+        rack.position.y = h / 2;
+        return rack;
+    },
+});
+
+registerPrefab('floating_rock', { // Decorative rock drifting below the island chain
+    instanced: {
+        geometry: () => new THREE.SphereGeometry(1, 5, 4), // Low poly sphere
+        material: standardMaterial({ color: 0xffffff, roughness: 0.9 }),
+    },
+    build(shared) {
+        const mesh = instanceOf(shared, scaleVector.setScalar(Random.randFloat(1.5, 4)), getRandomColor(0.4, 0.7));
+        mesh.position.y = Random.randFloat(-12, -4); // Below the islands, out of the jump path
+        return mesh;
+    },
+    collision: 'none',
+    floatsFreely: true,
+});
+
+registerPrefab('ancient_pillar', {
+    instanced: {
+        geometry: () => new THREE.CylinderGeometry(0.4, 0.5, 1, 6), // Hexagonal pillar
+        material: standardMaterial({ color: 0xffffff, roughness: 0.7 }),
+    },
+    build(shared) {
+        const pilH = Random.randFloat(4, 8);
+        const mesh = instanceOf(shared, scaleVector.set(1, pilH, 1), getRandomColor(0.3, 0.5));
+        mesh.position.y = pilH / 2; // Centered vertically
+        return mesh;
+    },
+});
+
+registerPrefab('vine_swing_point', { // Grabbable anchor, see Player.toggleSwing
+    build() {
+        const mesh = new THREE.Mesh(
+            new THREE.SphereGeometry(0.2, 8, 4),
+            new THREE.MeshBasicMaterial({ color: 0x00ff00, wireframe: true })
+        );
+        mesh.position.y = Random.randFloat(5, 10); // Place high up
+        return mesh;
+    },
+    castShadow: false,
+    collision: 'none',
+    userData: () => ({ isSwingPoint: true }),
+});
+
+registerPrefab('control_stabilizer', { // Pickup that clears control chaos, spawned by universeManager (not a biome scenery choice)
+    build() {
+        const group = new THREE.Group();
+        const core = new THREE.Mesh(new THREE.OctahedronGeometry(0.35), new THREE.MeshStandardMaterial({ color: 0xffdd33, roughness: 0.3 }));
+        const ring = new THREE.Mesh(new THREE.TorusGeometry(0.55, 0.05, 8, 24), new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.3 }));
+        ring.rotation.x = Math.PI / 2;
+        group.add(core, ring);
+        group.position.y = 1.2; // Hovers at chest height
+        return group;
+    },
+    castShadow: false,
+    emissive: { color: 0xffaa00, intensity: 1.2 },
+    collision: 'none',
+    userData: () => ({ isStabilizer: true }),
+});
+
+registerPrefab('force_field_barrier', { // Pulsing energy wall; damage/pulse handled by hazards.js
+    build() {
+        const mesh = new THREE.Mesh(
+            new THREE.BoxGeometry(Random.randFloat(3, 6), 3.0, 0.2),
+            new THREE.MeshStandardMaterial({ color: 0x0088ff, transparent: true, opacity: 0.6, side: THREE.DoubleSide, depthWrite: false })
+        );
+        mesh.position.y = 1.5;
+        return mesh;
+    },
+    castShadow: false,
+    emissive: { color: 0x00aaff, intensity: 1.5 },
+    hazard: 'force_field',
+    userData: () => ({ pulseOffset: Random.randFloat(0, 2) }), // Barriers don't all pulse in sync
+});
+
+registerPrefab('hub_console', { // TARDIS-style console in the hub: GLTF model, procedural stand-in if it failed to load
+    model: 'console',
+    build() {
+        const group = new THREE.Group();
+        const base = new THREE.Mesh(new THREE.CylinderGeometry(1.5, 1.8, 1.0, 6), new THREE.MeshStandardMaterial({ color: 0xcccccc, metalness: 0.9, roughness: 0.3 }));
+        base.position.y = 0.5;
+        const top = new THREE.Mesh(new THREE.CylinderGeometry(1.0, 1.0, 0.5, 6), new THREE.MeshStandardMaterial({ color: 0x00ffff, emissive: 0x00aaaa, emissiveIntensity: 0.8 }));
+        top.position.y = 1.25;
+        group.add(base, top);
+        return group;
+    },
+});
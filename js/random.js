@@ -0,0 +1,76 @@
+// Seedable pseudo-random number generator used by all universe generation code.
+// Math.random() is still fine for purely cosmetic runtime effects (screen shake etc.),
+// but anything that decides what a universe looks like must draw from here so a seed
+// reproduces the exact same world.
+
+let currentSeed = 0;
+let state = 0;
+
+// Mulberry32: small, fast and good enough for level generation
+function nextUint32() {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return (t ^ (t >>> 14)) >>> 0;
+}
+
+export function setSeed(seed) {
+    currentSeed = seed >>> 0;
+    state = currentSeed;
+}
+
+export function getSeed() {
+    return currentSeed;
+}
+
+// Fresh seed for a new universe (the only place Math.random() feeds generation)
+export function generateSeed() {
+    return Math.floor(Math.random() * 0xFFFFFFFF) >>> 0;
+}
+
+// Derive an independent sub-seed so each generation phase has its own stream.
+// Changing how many numbers one phase draws then doesn't reshuffle later phases.
+export function deriveSeed(seed, label) {
+    let h = (seed >>> 0) ^ 0x9E3779B9;
+    for (let i = 0; i < label.length; i++) {
+        h = Math.imul(h ^ label.charCodeAt(i), 0x01000193);
+    }
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85EBCA6B);
+    h ^= h >>> 13;
+    return h >>> 0;
+}
+
+// Accepts numeric seeds ("12345") or any string ("volcano-bug") from the URL
+export function parseSeed(value) {
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim();
+    if (text === '') return null;
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+    return deriveSeed(0, text);
+}
+
+// --- Drop-in replacements for Math.random / THREE.MathUtils helpers ---
+export function random() {
+    return nextUint32() / 4294967296;
+}
+
+export function randFloat(min, max) {
+    return min + random() * (max - min);
+}
+
+export function randInt(min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+}
+
+export function randFloatSpread(range) {
+    return range * (0.5 - random());
+}
+
+export function pick(array) {
+    if (!array || array.length === 0) return undefined;
+    return array[Math.floor(random() * array.length)];
+}
+
+setSeed(generateSeed());
@@ -0,0 +1,50 @@
+import * as THREE from 'three';
+
+// Draws instanced scenery prefabs (see prefabs.js `instanced`) with one InstancedMesh per
+// prefab and shape variant. The per-instance meshes stay in worldObjects as invisible collision proxies:
+// they keep their transform and boundingBox for placement, collision and ground raycasts,
+// but are never added to the scene.
+
+const instanceMatrix = new THREE.Matrix4();
+const whiteColor = new THREE.Color(0xffffff);
+
+// Batches the given proxies (all with userData.isInstanced) and adds the InstancedMeshes to the scene
+export function batchInstancedScenery(scene, proxies) {
+    const byGeometry = new Map();
+    proxies.forEach(proxy => {
+        if (!byGeometry.has(proxy.geometry)) byGeometry.set(proxy.geometry, []);
+        byGeometry.get(proxy.geometry).push(proxy);
+    });
+
+    const batches = [];
+    byGeometry.forEach(instances => {
+        const { geometry, material } = instances[0];
+        const prefabName = instances[0].userData.prefabName;
+        const batch = new THREE.InstancedMesh(geometry, material, instances.length);
+        batch.castShadow = instances[0].castShadow;
+        batch.receiveShadow = instances[0].receiveShadow;
+        batch.userData = { isInstancedScenery: true, prefabName };
+
+        const tinted = instances.some(proxy => proxy.userData.instanceColor);
+        instances.forEach((proxy, index) => {
+            proxy.updateMatrixWorld(true);
+            instanceMatrix.copy(proxy.matrixWorld);
+            batch.setMatrixAt(index, instanceMatrix);
+            if (tinted) batch.setColorAt(index, proxy.userData.instanceColor || whiteColor);
+            proxy.userData.instancedMesh = batch;
+            proxy.userData.instanceIndex = index;
+        });
+        batch.instanceMatrix.needsUpdate = true;
+        if (batch.instanceColor) batch.instanceColor.needsUpdate = true;
+        batch.computeBoundingBox();
+        batch.computeBoundingSphere(); // Covers every instance, so frustum culling stays correct
+
+        scene.add(batch);
+        batches.push(batch);
+    });
+
+    if (batches.length > 0) {
+        console.log(`Instanced ${proxies.length} scenery objects into ${batches.length} draw call(s).`);
+    }
+    return batches;
+}
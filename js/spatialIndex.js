@@ -0,0 +1,139 @@
+import * as THREE from 'three';
+import * as Constants from './constants.js';
+
+// Uniform XZ grid over the world objects of the current universe, used as the broadphase
+// for collision, placement and ground checks. universeManager binds it to the shared
+// worldObjects array on every universe switch; utils.addWorldObject / removeWorldObject keep
+// it in sync and moving objects (NPCs) call updateSpatialEntry after changing their box.
+//
+// Objects spanning too many cells (heightmap terrain, the hub floor) and objects without a
+// bounding box live in a separate list that every query returns.
+
+const MAX_CELLS_PER_OBJECT = 64;
+
+let boundList = null; // The worldObjects array this index mirrors
+let cells = new Map(); // cell key -> Set of objects
+let entries = new Map(); // object -> { keys } (keys = null for large objects)
+let largeObjects = new Set();
+let queryStamp = 0;
+const seenStamp = new WeakMap(); // object -> last query that returned it (dedupes multi-cell objects)
+
+const cellSize = Constants.SPATIAL_CELL_SIZE;
+const queryBox = new THREE.Box3();
+
+const cellCoord = (value) => Math.floor(value / cellSize);
+const cellKey = (ix, iz) => `${ix},${iz}`;
+
+function cellRange(box) {
+    return {
+        minX: cellCoord(box.min.x), maxX: cellCoord(box.max.x),
+        minZ: cellCoord(box.min.z), maxZ: cellCoord(box.max.z),
+    };
+}
+
+// Start indexing a (normally empty) world list, dropping everything from the previous universe
+export function resetSpatialIndex(worldObjectsRef) {
+    boundList = worldObjectsRef;
+    cells = new Map();
+    entries = new Map();
+    largeObjects = new Set();
+    worldObjectsRef.forEach(insertSpatialEntry);
+}
+
+export function isSpatiallyIndexed(list) {
+    return list === boundList;
+}
+
+export function insertSpatialEntry(object) {
+    if (entries.has(object)) removeSpatialEntry(object);
+    const box = object.userData?.boundingBox;
+    if (!box || box.isEmpty()) {
+        largeObjects.add(object);
+        entries.set(object, { keys: null });
+        return;
+    }
+
+    const range = cellRange(box);
+    const cellCount = (range.maxX - range.minX + 1) * (range.maxZ - range.minZ + 1);
+    if (cellCount > MAX_CELLS_PER_OBJECT) {
+        largeObjects.add(object);
+        entries.set(object, { keys: null });
+        return;
+    }
+
+    const keys = [];
+    for (let ix = range.minX; ix <= range.maxX; ix++) {
+        for (let iz = range.minZ; iz <= range.maxZ; iz++) {
+            const key = cellKey(ix, iz);
+            let cell = cells.get(key);
+            if (!cell) { cell = new Set(); cells.set(key, cell); }
+            cell.add(object);
+            keys.push(key);
+        }
+    }
+    entries.set(object, { keys });
+}
+
+export function removeSpatialEntry(object) {
+    const entry = entries.get(object);
+    if (!entry) return;
+    if (entry.keys) {
+        entry.keys.forEach(key => {
+            const cell = cells.get(key);
+            if (!cell) return;
+            cell.delete(object);
+            if (cell.size === 0) cells.delete(key);
+        });
+    } else {
+        largeObjects.delete(object);
+    }
+    entries.delete(object);
+}
+
+// Re-bucket an object whose bounding box changed (cheap no-op when it stayed in the same cells)
+export function updateSpatialEntry(object) {
+    const entry = entries.get(object);
+    if (!entry) return;
+    const box = object.userData?.boundingBox;
+    if (entry.keys && box && !box.isEmpty()) {
+        const range = cellRange(box);
+        const cellCount = (range.maxX - range.minX + 1) * (range.maxZ - range.minZ + 1);
+        if (cellCount === entry.keys.length && entry.keys[0] === cellKey(range.minX, range.minZ)) return;
+    }
+    insertSpatialEntry(object);
+}
+
+// Objects whose cells overlap the box's XZ footprint, plus all large objects.
+// Candidates only: callers still do their exact intersection test.
+export function querySpatialIndex(box, result = []) {
+    queryStamp++;
+    largeObjects.forEach(object => result.push(object));
+    const range = cellRange(box);
+    for (let ix = range.minX; ix <= range.maxX; ix++) {
+        for (let iz = range.minZ; iz <= range.maxZ; iz++) {
+            const cell = cells.get(cellKey(ix, iz));
+            if (!cell) continue;
+            for (const object of cell) {
+                if (seenStamp.get(object) === queryStamp) continue;
+                seenStamp.set(object, queryStamp);
+                result.push(object);
+            }
+        }
+    }
+    return result;
+}
+
+// Candidates from `list` near `box`: the index when `list` is the indexed world list,
+// the whole list otherwise (ad-hoc lists passed by callers still work)
+export function getNearbyObjects(list, box, result = []) {
+    if (!isSpatiallyIndexed(list)) return list;
+    return querySpatialIndex(box, result);
+}
+
+// Same for a sphere (uses its bounding box)
+export function getObjectsNearPoint(list, position, radius, result = []) {
+    if (!isSpatiallyIndexed(list)) return list;
+    queryBox.min.set(position.x - radius, position.y - radius, position.z - radius);
+    queryBox.max.set(position.x + radius, position.y + radius, position.z + radius);
+    return querySpatialIndex(queryBox, result);
+}
@@ -0,0 +1,173 @@
+import * as THREE from 'three';
+import * as Random from './random.js';
+import { addWorldObject } from './utils.js';
+
+// Noise-based heightmap terrain for biomes with a `terrain` config.
+// The mesh is a displaced grid; heightAt()/normalAt() sample the exact same triangles
+// so collision and placement agree with what is rendered.
+
+const TERRAIN_SEGMENTS = 64;
+const SPAWN_FLAT_RADIUS = 4.0; // Fully flat around the spawn point...
+const SPAWN_BLEND_RADIUS = 9.0; // ...blending into full terrain by this distance
+const EDGE_MARGIN = 4.0; // Extend past the universe radius so the rim never shows a gap
+
+const DEFAULT_TERRAIN_CONFIG = {
+    type: 'hills', // 'hills' | 'ridges'
+    amplitude: 2.5,
+    frequency: 0.05,
+    octaves: 3,
+};
+
+// --- Seeded 2D value noise ---
+function createValueNoise2D() {
+    const size = 256;
+    const values = new Float32Array(size);
+    const perm = new Uint8Array(size * 2);
+    for (let i = 0; i < size; i++) {
+        values[i] = Random.random() * 2 - 1;
+        perm[i] = i;
+    }
+    for (let i = size - 1; i > 0; i--) { // Seeded shuffle of the permutation table
+        const j = Math.floor(Random.random() * (i + 1));
+        [perm[i], perm[j]] = [perm[j], perm[i]];
+    }
+    for (let i = 0; i < size; i++) perm[i + size] = perm[i];
+
+    const lattice = (ix, iz) => values[perm[(ix & 255) + perm[iz & 255]]];
+    const smooth = (t) => t * t * (3 - 2 * t);
+
+    return (x, z) => {
+        const ix = Math.floor(x);
+        const iz = Math.floor(z);
+        const fx = smooth(x - ix);
+        const fz = smooth(z - iz);
+        const top = THREE.MathUtils.lerp(lattice(ix, iz), lattice(ix + 1, iz), fx);
+        const bottom = THREE.MathUtils.lerp(lattice(ix, iz + 1), lattice(ix + 1, iz + 1), fx);
+        return THREE.MathUtils.lerp(top, bottom, fz); // Range [-1, 1]
+    };
+}
+
+function createHeightFunction(config) {
+    const noise = createValueNoise2D();
+    const offsetX = Random.randFloat(0, 1000);
+    const offsetZ = Random.randFloat(0, 1000);
+
+    return (x, z) => {
+        let total = 0;
+        let amplitude = 1;
+        let frequency = config.frequency;
+        let norm = 0;
+        for (let o = 0; o < config.octaves; o++) {
+            const n = noise((x + offsetX) * frequency, (z + offsetZ) * frequency);
+            if (config.type === 'ridges') {
+                const ridge = 1 - Math.abs(n); // Sharp crests where the noise crosses zero
+                total += ridge * ridge * amplitude;
+            } else {
+                total += (n * 0.5 + 0.5) * amplitude;
+            }
+            norm += amplitude;
+            amplitude *= 0.5;
+            frequency *= 2;
+        }
+        const height = (total / norm) * config.amplitude;
+
+        // Flatten the spawn area so the player never starts on a slope
+        const dist = Math.hypot(x, z);
+        const blend = THREE.MathUtils.smoothstep(dist, SPAWN_FLAT_RADIUS, SPAWN_BLEND_RADIUS);
+        return height * blend;
+    };
+}
+
+// Generates the terrain mesh, adds it to the scene/world and returns it
+export function generateTerrain(scene, worldObjectsRef, options = {}) {
+    const { universeRadius, groundTexture = null, groundColor = 0x888888, metalness = 0.2, roughness = 0.8 } = options;
+    const config = { ...DEFAULT_TERRAIN_CONFIG, ...options.config };
+    const heightFn = createHeightFunction(config);
+
+    const size = (universeRadius + EDGE_MARGIN) * 2;
+    const segments = TERRAIN_SEGMENTS;
+    const cellSize = size / segments;
+    const halfSize = size / 2;
+
+    // Height grid in (ix, iz) order, matching PlaneGeometry's vertex layout after rotateX(-PI/2)
+    const heights = new Float32Array((segments + 1) * (segments + 1));
+    const geometry = new THREE.PlaneGeometry(size, size, segments, segments);
+    geometry.rotateX(-Math.PI / 2);
+    const positions = geometry.attributes.position;
+    for (let iz = 0; iz <= segments; iz++) {
+        for (let ix = 0; ix <= segments; ix++) {
+            const index = iz * (segments + 1) + ix;
+            const x = ix * cellSize - halfSize;
+            const z = iz * cellSize - halfSize;
+            const h = heightFn(x, z);
+            heights[index] = h;
+            positions.setY(index, h);
+        }
+    }
+    positions.needsUpdate = true;
+    geometry.computeVertexNormals();
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+
+    if (groundTexture) {
+        groundTexture.wrapS = groundTexture.wrapT = THREE.RepeatWrapping;
+        const repeatVal = Math.max(2, Math.floor(universeRadius / 8));
+        groundTexture.repeat.set(repeatVal, repeatVal);
+        groundTexture.needsUpdate = true;
+    }
+    const material = new THREE.MeshStandardMaterial({
+        color: groundTexture ? 0xffffff : groundColor,
+        map: groundTexture,
+        metalness,
+        roughness,
+    });
+
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.receiveShadow = true;
+
+    // Same triangulation as PlaneGeometry: cell corners a=(0,0) b=(0,1) c=(1,1) d=(1,0)
+    // split along the b-d diagonal into triangles (a,b,d) and (b,c,d).
+    const sampleCell = (x, z) => {
+        const gx = THREE.MathUtils.clamp((x + halfSize) / cellSize, 0, segments - 1e-6);
+        const gz = THREE.MathUtils.clamp((z + halfSize) / cellSize, 0, segments - 1e-6);
+        const ix = Math.floor(gx);
+        const iz = Math.floor(gz);
+        const u = gx - ix;
+        const v = gz - iz;
+        const row = segments + 1;
+        return {
+            u, v,
+            ha: heights[iz * row + ix],
+            hb: heights[(iz + 1) * row + ix],
+            hc: heights[(iz + 1) * row + ix + 1],
+            hd: heights[iz * row + ix + 1],
+        };
+    };
+
+    const heightAt = (x, z) => {
+        const { u, v, ha, hb, hc, hd } = sampleCell(x, z);
+        if (u + v <= 1) return ha + (hd - ha) * u + (hb - ha) * v;
+        return hc + (hb - hc) * (1 - u) + (hd - hc) * (1 - v);
+    };
+
+    const normalAt = (x, z, target = new THREE.Vector3()) => {
+        const { u, v, ha, hb, hc, hd } = sampleCell(x, z);
+        let dhdx, dhdz;
+        if (u + v <= 1) { dhdx = (hd - ha) / cellSize; dhdz = (hb - ha) / cellSize; }
+        else { dhdx = (hc - hb) / cellSize; dhdz = (hc - hd) / cellSize; }
+        return target.set(-dhdx, 1, -dhdz).normalize();
+    };
+
+    mesh.userData = {
+        isGround: true,
+        isTerrain: true,
+        heightAt,
+        normalAt,
+        boundingBox: new THREE.Box3().setFromObject(mesh),
+    };
+
+    scene.add(mesh);
+    addWorldObject(worldObjectsRef, mesh);
+    console.log(`Generated ${config.type} terrain (amplitude ${config.amplitude}, ${segments}x${segments} cells).`);
+    return mesh;
+}
@@ -0,0 +1,154 @@
+import * as Constants from './constants.js';
+
+// On-screen controls for phones and tablets, shown only when the primary pointer is a finger
+// (no pointer lock or keyboard needed there). A touch on the left side of the screen becomes
+// a floating joystick, drags elsewhere turn the view, and buttons trigger actions.
+//
+// The joystick reaches the Player as an analog input like the gamepad's left stick (see
+// Player.setAnalogInput), so it moves through the same control map and randomization as the
+// keys; buttons are held actions (jump also glides, sprint and crouch last while held) and
+// fire onAction like a key press.
+
+const JOYSTICK_AREA = 0.45; // Fraction of the screen width, from the left, that starts the joystick
+
+const state = {
+    enabled: false,
+    move: { x: 0, y: 0 }, // x = right, y = forward
+    held: new Set(), // Actions whose on-screen buttons are down
+};
+let joystickTouchId = null;
+const joystickOrigin = { x: 0, y: 0 };
+let lookTouchId = null;
+const lastLookPoint = { x: 0, y: 0 };
+let elements = null;
+let callbacks = { onAction: () => {}, onLook: () => {} };
+
+export function isTouchDevice() {
+    return !!globalThis.matchMedia?.('(pointer: coarse)').matches;
+}
+
+// Shows the touch layer on touch devices. `onAction(action)` for button presses,
+// `onLook(yawDelta, pitchDelta)` in radians for look drags. Returns whether it was enabled.
+export function initTouchControls(handlers) {
+    if (!isTouchDevice()) return false;
+    const root = document.getElementById('touchControls');
+    if (!root) {
+        console.warn("Touch controls element missing.");
+        return false;
+    }
+    callbacks = { ...callbacks, ...handlers };
+    elements = {
+        root,
+        joystick: document.getElementById('touchJoystick'),
+        knob: document.getElementById('touchJoystickKnob'),
+    };
+    root.style.display = 'block';
+    document.body.classList.add('touch');
+    state.enabled = true;
+
+    root.querySelectorAll('[data-touch-action]').forEach(button => {
+        const action = button.dataset.touchAction;
+        button.addEventListener('touchstart', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            state.held.add(action);
+            button.classList.add('pressed');
+            callbacks.onAction(action);
+        }, { passive: false });
+        const release = (event) => {
+            event.preventDefault();
+            state.held.delete(action);
+            button.classList.remove('pressed');
+        };
+        button.addEventListener('touchend', release);
+        button.addEventListener('touchcancel', release);
+    });
+
+    // Joystick and look drags anywhere else (passive: false so the page doesn't scroll or zoom)
+    document.addEventListener('touchstart', onTouchStart, { passive: false });
+    document.addEventListener('touchmove', onTouchMove, { passive: false });
+    document.addEventListener('touchend', onTouchEnd);
+    document.addEventListener('touchcancel', onTouchEnd);
+    console.log("Touch controls enabled.");
+    return true;
+}
+
+export function getTouchInput() {
+    return state;
+}
+
+function isGameTouch(event) {
+    // Leave the UI panels (clue list, controls screen) scrollable and clickable
+    return !event.target.closest?.('#instructionsPanel, #clueReviewPanel, #controlsPanel, button');
+}
+
+function onTouchStart(event) {
+    if (!isGameTouch(event)) return;
+    event.preventDefault();
+    for (const touch of event.changedTouches) {
+        if (joystickTouchId === null && touch.clientX < window.innerWidth * JOYSTICK_AREA) {
+            joystickTouchId = touch.identifier;
+            joystickOrigin.x = touch.clientX;
+            joystickOrigin.y = touch.clientY;
+            if (elements.joystick) {
+                elements.joystick.style.left = `${touch.clientX}px`;
+                elements.joystick.style.top = `${touch.clientY}px`;
+                elements.joystick.classList.add('active');
+            }
+            setJoystick(touch);
+        } else if (lookTouchId === null) {
+            lookTouchId = touch.identifier;
+            lastLookPoint.x = touch.clientX;
+            lastLookPoint.y = touch.clientY;
+        }
+    }
+}
+
+function onTouchMove(event) {
+    let handled = false;
+    for (const touch of event.changedTouches) {
+        if (touch.identifier === joystickTouchId) {
+            setJoystick(touch);
+            handled = true;
+        } else if (touch.identifier === lookTouchId) {
+            callbacks.onLook(
+                (touch.clientX - lastLookPoint.x) * Constants.TOUCH_LOOK_SENSITIVITY,
+                (touch.clientY - lastLookPoint.y) * Constants.TOUCH_LOOK_SENSITIVITY
+            );
+            lastLookPoint.x = touch.clientX;
+            lastLookPoint.y = touch.clientY;
+            handled = true;
+        }
+    }
+    if (handled) event.preventDefault();
+}
+
+function onTouchEnd(event) {
+    for (const touch of event.changedTouches) {
+        if (touch.identifier === joystickTouchId) {
+            joystickTouchId = null;
+            state.move.x = state.move.y = 0;
+            if (elements.joystick) elements.joystick.classList.remove('active');
+            if (elements.knob) elements.knob.style.transform = '';
+        } else if (touch.identifier === lookTouchId) {
+            lookTouchId = null;
+        }
+    }
+}
+
+// Knob offset from where the thumb came down, clamped to the joystick radius
+function setJoystick(touch) {
+    const radius = Constants.TOUCH_JOYSTICK_RADIUS;
+    let dx = touch.clientX - joystickOrigin.x;
+    let dy = touch.clientY - joystickOrigin.y;
+    const distance = Math.hypot(dx, dy);
+    if (distance > radius) {
+        dx *= radius / distance;
+        dy *= radius / distance;
+    }
+    if (elements.knob) elements.knob.style.transform = `translate(${dx}px, ${dy}px)`;
+    const deadzone = Constants.GAMEPAD_DEADZONE * radius;
+    const inDeadzone = distance < deadzone;
+    state.move.x = inDeadzone ? 0 : dx / radius;
+    state.move.y = inDeadzone ? 0 : -dy / radius; // Screen y grows downwards
+}
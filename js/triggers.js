@@ -0,0 +1,118 @@
+import * as THREE from 'three';
+
+// Trigger volumes: box/sphere zones that fire onEnter / onStay / onExit while the
+// player's collider overlaps them. Zones are registered per universe (universeManager,
+// objective modules) and cleared on universe switch; main.js drives them every frame.
+//
+// Definition fields:
+//   kind      - groups zones for the handler map passed to updateTriggers ('portal', 'checkpoint', ...)
+//   shape     - 'sphere' (center + radius) or 'box' (box: THREE.Box3)
+//   object    - optional Object3D the zone follows (sphere center = object position + offset)
+//   once      - remove the zone after its first onEnter
+//   ignoreInitialOverlap - don't fire onEnter if the player is already inside on the first check
+//   onEnter/onStay/onExit(trigger, player[, deltaTime]) - per-zone callbacks
+//   data      - anything the handlers need
+
+let triggers = [];
+let triggerGeneration = 0; // Bumped by clearTriggers so a callback that switches universe stops the loop
+
+const sphereCenter = new THREE.Vector3();
+const testSphere = new THREE.Sphere();
+
+export function registerTrigger(definition) {
+    const shape = definition.shape || 'sphere';
+    if (shape === 'box' && !definition.box) {
+        console.error("Box trigger registered without a box:", definition);
+        return null;
+    }
+    if (shape === 'sphere' && !definition.object && !definition.center) {
+        console.error("Sphere trigger registered without a center or object:", definition);
+        return null;
+    }
+
+    const trigger = {
+        kind: 'generic',
+        radius: 1.0,
+        offset: null,
+        once: false,
+        ignoreInitialOverlap: true,
+        data: {},
+        ...definition,
+        shape,
+        isInside: false,
+        hasBeenChecked: false,
+        isActive: true,
+    };
+    triggers.push(trigger);
+    return trigger;
+}
+
+export function unregisterTrigger(trigger) {
+    if (!trigger) return;
+    trigger.isActive = false;
+    triggers = triggers.filter(t => t !== trigger);
+}
+
+// Drop every zone attached to an object (e.g. an objective item that was collected)
+export function removeTriggersForObject(object) {
+    triggers.forEach(t => { if (t.object === object) t.isActive = false; });
+    triggers = triggers.filter(t => t.isActive);
+}
+
+export function clearTriggers() {
+    triggers.forEach(t => { t.isActive = false; });
+    triggers = [];
+    triggerGeneration++;
+}
+
+export function getTriggers() {
+    return triggers;
+}
+
+function overlapsPlayer(trigger, playerBox) {
+    if (trigger.shape === 'box') return trigger.box.intersectsBox(playerBox);
+
+    if (trigger.object) {
+        sphereCenter.copy(trigger.object.position);
+        if (trigger.offset) sphereCenter.add(trigger.offset);
+    } else {
+        sphereCenter.copy(trigger.center);
+    }
+    testSphere.set(sphereCenter, trigger.radius);
+    return playerBox.intersectsSphere(testSphere);
+}
+
+// Fire the zone's own callback, then the handler registered for its kind
+function fire(trigger, eventName, player, deltaTime, handlers) {
+    trigger[eventName]?.(trigger, player, deltaTime);
+    handlers[trigger.kind]?.[eventName]?.(trigger, player, deltaTime);
+}
+
+// Per-frame update. handlers = { [kind]: { onEnter, onStay, onExit } }
+export function updateTriggers(player, deltaTime, handlers = {}) {
+    if (!player || triggers.length === 0) return;
+    const generation = triggerGeneration;
+
+    for (const trigger of [...triggers]) { // Callbacks may add/remove zones
+        if (!trigger.isActive) continue;
+        if (trigger.object && !trigger.object.parent) continue; // Attached object left the scene
+
+        const inside = overlapsPlayer(trigger, player.collider);
+        const firstCheck = !trigger.hasBeenChecked;
+        trigger.hasBeenChecked = true;
+
+        if (inside && !trigger.isInside) {
+            trigger.isInside = true;
+            if (firstCheck && trigger.ignoreInitialOverlap) continue; // Spawned inside: wait for a real entry
+            if (trigger.once) unregisterTrigger(trigger);
+            fire(trigger, 'onEnter', player, deltaTime, handlers);
+        } else if (inside) {
+            fire(trigger, 'onStay', player, deltaTime, handlers);
+        } else if (trigger.isInside) {
+            trigger.isInside = false;
+            fire(trigger, 'onExit', player, deltaTime, handlers);
+        }
+
+        if (generation !== triggerGeneration) return; // Universe switched inside a callback
+    }
+}
@@ -1,7 +1,16 @@
 import * as Constants from './constants.js';
+import { ABILITIES } from './abilities.js';
 
 let clueDisplayTimeoutId = null;
 let tempMessageTimeoutId = null;
+const shownStates = new Map(); // Element id -> state it was last drawn with
+
+// Displays updated every frame check this first so the DOM is only touched when their state changes
+function stateChanged(elementId, state) {
+    if (shownStates.get(elementId) === state) return false;
+    shownStates.set(elementId, state);
+    return true;
+}
 
 export function showLoading(show) {
     const indicator = document.getElementById('loadingIndicator');
@@ -15,6 +24,62 @@ export function updateScoreDisplay(universeScore, clueScore) {
     }
 }
 
+// Instructions bar, plus the key names in any element with a `data-action` attribute
+export function updateControlsText(summary, getActionKeysLabel) {
+    const instructions = document.getElementById('instructions');
+    if (instructions) instructions.textContent = summary;
+    document.querySelectorAll('[data-action]').forEach(element => {
+        element.textContent = getActionKeysLabel(element.dataset.action);
+    });
+}
+
+// Gamepad button list in the hub's instructions panel (null hides it)
+export function showGamepadHelp(text) {
+    const help = document.getElementById('gamepadHelp');
+    if (!help) return;
+    help.textContent = text ? `Gamepad - ${text}` : '';
+    help.style.display = text ? 'block' : 'none';
+}
+
+// Seed of the current random universe (and the abilities it was generated for), so bug
+// reports can include it (null hides it)
+export function updateSeedDisplay(seed, abilities = []) {
+    const seedElement = document.getElementById('seedDisplay');
+    if (seedElement) {
+        const abilityText = abilities.length > 0 ? ` (abilities: ${abilities.join(',')})` : ''; // Same format as ?abilities=
+        seedElement.textContent = seed !== null && seed !== undefined ? `Seed: ${seed}${abilityText}` : '';
+    }
+}
+
+export function updateHealthDisplay(health, maxHealth) {
+    const fill = document.getElementById('healthFill');
+    if (!fill || !maxHealth) return;
+    const fraction = Math.max(0, Math.min(1, health / maxHealth));
+    fill.style.width = `${fraction * 100}%`;
+    fill.style.backgroundColor = fraction > 0.5 ? '#33ff66' : (fraction > 0.25 ? '#ffcc00' : '#ff3333');
+}
+
+// Stamina bar under the health bar; turns red while sprinting is locked after running dry
+export function updateStaminaDisplay(stamina, maxStamina, exhausted) {
+    const fill = document.getElementById('staminaFill');
+    if (!fill || !maxStamina) return;
+    const percent = Math.round(Math.max(0, Math.min(1, stamina / maxStamina)) * 100);
+    if (!stateChanged('staminaFill', `${percent}:${exhausted}`)) return;
+    fill.style.width = `${percent}%`;
+    fill.classList.toggle('exhausted', exhausted);
+}
+
+// Unlocked movement abilities: dimmed while recharging, highlighted while in use
+export function updateAbilityDisplay(abilityStatus) {
+    const display = document.getElementById('abilityDisplay');
+    if (!display) return;
+    const markup = abilityStatus.map(({ name, active, ready }) =>
+        `<span class="ability${active ? ' active' : ''}${ready ? '' : ' recharging'}">${ABILITIES[name].name}</span>`
+    ).join('');
+    if (!stateChanged('abilityDisplay', markup)) return;
+    display.innerHTML = markup;
+}
+
 export function showMainHubUI(show) {
     const instructionsPanel = document.getElementById('instructionsPanel');
     const clueReviewPanel = document.getElementById('clueReviewPanel');
@@ -22,16 +87,26 @@ export function showMainHubUI(show) {
     if (clueReviewPanel) clueReviewPanel.style.display = show ? 'block' : 'none';
 }
 
+// m:ss, rounded up so the timer reads 0:00 only when time is actually out
+function formatTimer(seconds) {
+    const total = Math.max(0, Math.ceil(seconds));
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
 export function updateObjectiveDisplay(objective) {
      const display = document.getElementById('objectiveDisplay');
      if (display) {
          if (objective && objective.type) {
              let text = `Objective: ${objective.text} (${objective.current}/${objective.required})`;
+             const timed = objective.timeLimit > 0;
+             if (timed) text += ` - ${formatTimer(objective.timeRemaining)}`;
              display.textContent = text;
              display.style.opacity = '1';
+             display.classList.toggle('urgent', timed && objective.timeRemaining <= Constants.OBJECTIVE_TIMER_WARNING);
          } else {
              display.textContent = ''; // Clear if no objective
              display.style.opacity = '0';
+             display.classList.remove('urgent');
          }
      }
 }
@@ -0,0 +1,31 @@
+import * as Constants from './constants.js';
+
+// Bounded history of visited random universes (newest last), so the hub can offer a
+// portal back to the previous one. Generation is seeded, so an entry only stores what
+// the seed can't reproduce: what the player already changed in that world.
+//
+// Snapshot shape (see universeManager.captureUniverseSnapshot):
+//   { seed, abilities, biomeKey, clues: [{ originalIndex, position }], objective: objective state or null }
+
+let history = [];
+
+export function recordUniverse(snapshot) {
+    if (!snapshot) return;
+    history = history.filter(entry => entry.seed !== snapshot.seed); // Revisited: keep only the latest state
+    history.push(snapshot);
+    if (history.length > Constants.UNIVERSE_HISTORY_SIZE) history.shift();
+    console.log(`Recorded universe ${snapshot.seed} in history (${history.length}/${Constants.UNIVERSE_HISTORY_SIZE}).`);
+}
+
+export function hasPreviousUniverse() {
+    return history.length > 0;
+}
+
+// Removes and returns the most recent entry (it is re-recorded when the player leaves again)
+export function takePreviousUniverse() {
+    return history.pop() || null;
+}
+
+export function getUniverseHistory() {
+    return history;
+}
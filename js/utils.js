@@ -1,14 +1,39 @@
 import * as THREE from 'three';
 import * as Constants from './constants.js';
+import * as Random from './random.js';
+import { isSpatiallyIndexed, insertSpatialEntry, removeSpatialEntry, getNearbyObjects, getObjectsNearPoint } from './spatialIndex.js';
+import { isInMovingPlatformPath } from './movingPlatforms.js';
 
 export function getRandomColor(minBrightness = 0, maxBrightness = 1) {
-    return new THREE.Color().setHSL(Math.random(), THREE.MathUtils.randFloat(0.6, 1.0), THREE.MathUtils.randFloat(minBrightness, maxBrightness));
+    return new THREE.Color().setHSL(Random.random(), Random.randFloat(0.6, 1.0), Random.randFloat(minBrightness, maxBrightness));
 }
 
 // Reusable temporary Box3 for placement checks
 const placementCheckBounds = new THREE.Box3();
 const objectBounds = new THREE.Box3();
 
+// Optional list of walkable surfaces ({ x, z, radius, y }) for universes without a
+// continuous ground (floating islands). When set, placeObjectRandomly picks points on
+// these surfaces and treats yPosition as a height above the surface.
+let placementSurfaces = null;
+
+export function setPlacementSurfaces(surfaces) {
+    placementSurfaces = surfaces && surfaces.length > 0 ? surfaces : null;
+}
+
+// Area-weighted random surface, restricted to those whose centre is within maxRadius
+function pickPlacementSurface(maxRadius) {
+    const candidates = placementSurfaces.filter(s => Math.hypot(s.x, s.z) <= maxRadius + s.radius);
+    const pool = candidates.length > 0 ? candidates : placementSurfaces;
+    const totalArea = pool.reduce((sum, s) => sum + s.radius * s.radius, 0);
+    let roll = Random.random() * totalArea;
+    for (const surface of pool) {
+        roll -= surface.radius * surface.radius;
+        if (roll <= 0) return surface;
+    }
+    return pool[pool.length - 1];
+}
+
 export function placeObjectRandomly(object, yPosition, maxRadius, worldObjectsForCheck = [], clearanceMultiplier = 1.0) {
     let attempts = 0;
     let positionFound = false;
@@ -24,14 +49,31 @@ export function placeObjectRandomly(object, yPosition, maxRadius, worldObjectsFo
 
 
     while (attempts < Constants.MAX_PLACEMENT_ATTEMPTS && !positionFound) {
-        const angle = Math.random() * Math.PI * 2;
-        const radius = Math.random() * maxRadius;
-        object.position.set(
-            Math.cos(angle) * radius,
-            yPosition, // Set initial Y
-            Math.sin(angle) * radius
-        );
-        object.rotation.y = Math.random() * Math.PI * 2;
+        const angle = Random.random() * Math.PI * 2;
+        if (placementSurfaces) {
+            // Keep the object's footprint on the surface where possible
+            const surface = pickPlacementSurface(maxRadius);
+            const usableRadius = Math.max(0, surface.radius - Math.min(checkRadius, surface.radius * 0.5));
+            const radius = Math.sqrt(Random.random()) * usableRadius;
+            object.position.set(
+                surface.x + Math.cos(angle) * radius,
+                surface.y + yPosition, // yPosition is relative to the surface top
+                surface.z + Math.sin(angle) * radius
+            );
+        } else {
+            const radius = Random.random() * maxRadius;
+            object.position.set(
+                Math.cos(angle) * radius,
+                yPosition, // Set initial Y
+                Math.sin(angle) * radius
+            );
+            // yPosition is a height above the ground: follow terrain where there is any
+            if (!object.userData.floatsFreely) {
+                const groundY = findGroundHeight(object.position, worldObjectsForCheck);
+                if (groundY !== null) object.position.y = groundY + yPosition;
+            }
+        }
+        object.rotation.y = Random.random() * Math.PI * 2;
 
         // --- Check using Bounding Boxes for stricter check ---
         // Update the object's bounding box based on potential position
@@ -69,8 +111,8 @@ export function placeObjectRandomly(object, yPosition, maxRadius, worldObjectsFo
 }
 
 // --- NEW: Placement check using Box3 intersection ---
-function isPlacementAreaClearBox(objectCheckBounds, checkObjects, selfObject = null) {
-    for (const obj of checkObjects) {
+export function isPlacementAreaClearBox(objectCheckBounds, checkObjects, selfObject = null) {
+    for (const obj of getNearbyObjects(checkObjects, objectCheckBounds)) {
         // Skip self, ground, or objects without a bounding box
         if (obj === selfObject || obj.userData.isGround || !obj.userData.boundingBox) continue;
 
@@ -81,26 +123,40 @@ function isPlacementAreaClearBox(objectCheckBounds, checkObjects, selfObject = n
             return false; // Collision detected
         }
     }
-    return true; // Area is clear
+    // Moving platforms (ground, so skipped above) block their whole path, not just where they are now
+    return !isInMovingPlatformPath(objectCheckBounds, selfObject);
 }
 
 // Original sphere check kept for reference or specific uses (like player spawn)
 export function isSpawnAreaClear(position, radius, checkObjects, selfObject = null) {
     const checkSphere = new THREE.Sphere(position, radius);
-    for (const obj of checkObjects) {
+    for (const obj of getObjectsNearPoint(checkObjects, position, radius)) {
         if (obj === selfObject || obj.userData.isGround || !obj.userData.boundingBox) continue;
         if (obj.userData.boundingBox.intersectsSphere(checkSphere)) {
             return false;
         }
     }
-    return true;
+    return !isInMovingPlatformPath(checkSphere.getBoundingBox(placementCheckBounds), selfObject);
 }
 
 
+// Add an object to a shared world list (and the spatial index when it's the indexed list)
+export function addWorldObject(worldObjectsRef, obj) {
+    worldObjectsRef.push(obj);
+    if (isSpatiallyIndexed(worldObjectsRef)) insertSpatialEntry(obj);
+}
+
+// Remove an object from a shared world list in place (other modules hold the same array)
+export function removeWorldObject(worldObjectsRef, obj) {
+    const index = worldObjectsRef.indexOf(obj);
+    if (index !== -1) worldObjectsRef.splice(index, 1);
+    if (isSpatiallyIndexed(worldObjectsRef)) removeSpatialEntry(obj);
+}
+
 // Fisher-Yates Shuffle
 export function shuffleArray(array) {
     for (let i = array.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(Random.random() * (i + 1));
         [array[i], array[j]] = [array[j], array[i]];
     }
 }
@@ -115,16 +171,31 @@ export function findGroundHeight(position, worldObjects) {
     raycaster.set(rayOrigin, downVector);
     raycaster.far = 20.0; // Limit raycast distance
 
-    const groundObjects = worldObjects.filter(o => o.userData.isGround);
+    // Moving platforms don't count: nothing placed or walking on them would follow them
+    const groundObjects = getObjectsNearPoint(worldObjects, position, 0.01).filter(o => o.userData.isGround && !o.userData.isMovingPlatform);
     if(groundObjects.length === 0) return null; // No ground objects to hit
 
-    const intersects = raycaster.intersectObjects(groundObjects, false); // Don't check children recursively for simple ground plane/cylinder
+    // Heightmap terrain answers analytically (exact and much cheaper than raycasting its triangles)
+    let bestY = null;
+    const meshGround = [];
+    for (const ground of groundObjects) {
+        if (ground.userData.isTerrain && ground.userData.heightAt) {
+            const terrainY = ground.userData.heightAt(position.x, position.z);
+            if (bestY === null || terrainY > bestY) bestY = terrainY;
+        } else {
+            meshGround.push(ground);
+        }
+    }
+    if (meshGround.length === 0) return bestY;
+
+    const intersects = raycaster.intersectObjects(meshGround, false); // Don't check children recursively for simple ground plane/cylinder
 
     if (intersects.length > 0) {
-        return intersects[0].point.y; // Return Y coordinate of the hit point
+        const hitY = intersects[0].point.y; // Y coordinate of the closest hit point
+        return bestY === null ? hitY : Math.max(bestY, hitY);
     }
     // console.warn("Raycast down found no ground at:", position);
-    return null; // No ground found below
+    return bestY; // Null if no ground found below
 }
 
 // Helper to update portal BBox
@@ -162,6 +233,15 @@ export function updatePortalBoundingBox(portalMesh) {
     */
 }
 
+// Per-step factors (friction, velocity smoothing) were tuned at one step per 1/60 s:
+// rescale them so the result doesn't depend on the step length
+export function decayForStep(perStepFactor, deltaTime) {
+    return Math.pow(perStepFactor, deltaTime / Constants.PHYSICS_TIMESTEP);
+}
+export function blendForStep(perStepBlend, deltaTime) {
+    return 1 - Math.pow(1 - perStepBlend, deltaTime / Constants.PHYSICS_TIMESTEP);
+}
+
 // Simple screen shake placeholder
 let shakeDuration = 0;
 let shakeIntensity = 0;